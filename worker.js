@@ -12,29 +12,160 @@
  * 需要在 Cloudflare Workers「变量和机密」中配置：
  *   TARGET_URL     — 目标供应商的 Responses API 地址（含路径）
  *                    例如：https://your-provider.com/v1/responses
- *   OPENAI_API_KEY — 供应商 API 密钥（客户端未传 Authorization 时作为回退）
+ *   OPENAI_API_KEY — 供应商 API 密钥（客户端未传 Authorization 时作为回退；启用客户端密钥时作为默认上游密钥）
+ *
+ * 可选配置：
+ *   REASONING_ENCRYPTED_CONTENT — 设为 true 时始终以 store=false 请求并回传加密推理内容
+ *   STREAM_IDLE_TIMEOUT_MS      — 上游持续无数据的最长毫秒数，超时即中止（默认 300000，0 为不限制）
+ *   UPSTREAM_TIMEOUT_MS         — 单个请求（含重试与读完响应）的总时限毫秒数，超时返回 504（默认 0，不限制）
+ *   FIRST_TOKEN_TIMEOUT_MS      — 等待上游第一段输出的最长毫秒数，超时返回 504（默认 0，不限制）
+ *   SSE_KEEPALIVE_MS            — 流式响应静默超过该毫秒数时发送 SSE 注释保活（默认 15000，0 为关闭）
+ *   RESPONSES_MODE              — /v1/responses 的处理方式：passthrough（默认，原样透传）或 chat（转换后发往 Chat Completions 上游）
+ *   CHAT_TARGET_URL             — RESPONSES_MODE=chat 时的 Chat Completions 上游地址（默认由 TARGET_URL 推导）
+ *   MAX_CHOICES                 — 请求参数 n 的上限（默认 8），n > 1 时并发发送 n 个上游请求
+ *   ROUTES                      — 按模型名路由到多个上游并故障转移的 JSON 配置（格式见「上游路由与故障转移」一节）
+ *   CLIENT_KEYS                 — 代理签发的客户端密钥（JSON，格式见「客户端密钥与访问控制」一节），配置后拒绝未知密钥
+ *   CLIENT_KEYS_KV              — （KV 绑定）同上，以客户端密钥为键、配置 JSON 为值
+ *   RATE_LIMITER                — （Durable Object 绑定，类 RateLimiter）按客户端密钥限流与统计用量
+ *   RATE_LIMIT_RPM              — 每个客户端密钥每分钟的请求数上限（默认不限制，可被密钥配置中的 rpm 覆盖）
+ *   RATE_LIMIT_TPD              — 每个客户端密钥每天（UTC）的 token 上限（默认不限制，可被密钥配置中的 tpd 覆盖）
+ *   UPSTREAM_GATE               — （Durable Object 绑定，类 UpstreamGate）跨 isolate 限制每个上游的并发请求数
+ *   UPSTREAM_MAX_CONCURRENCY    — 每个上游同时进行的请求数上限（默认不限制，可被 ROUTES 中上游的 maxConcurrency 覆盖）
+ *   UPSTREAM_MAX_QUEUE          — 并发已满时最多排队等待的请求数（默认 100）
+ *   UPSTREAM_QUEUE_TIMEOUT_MS   — 排队等待的最长毫秒数（默认 30000）
+ *   UPSTREAM_RETRIES            — 上游返回 429 / 5xx 或连接失败时的退避重试次数（默认 2，0 为不重试）
+ *   UPSTREAM_RETRY_BASE_MS      — 退避的基础间隔毫秒数（默认 500，按 2 的幂增长并加随机抖动）
+ *   UPSTREAM_RETRY_MAX_DELAY_MS — 单次退避的最长毫秒数（默认 8000，上游给出 Retry-After 时以其为准）
+ *   UPSTREAM_RETRY_DEADLINE_MS  — 同一上游所有重试的总时限（默认 30000）
+ *   VARIANT_CACHE_KV            — （KV 绑定）保存学到的各上游请求格式，供所有 isolate 共享
+ *   ADMIN_TOKEN                 — 管理接口（/admin/*）的访问令牌，未配置时管理接口不可用
+ *   INLINE_IMAGES               — 设为 true 时下载 http(s) 图片并以 data URL 发给上游（上游无法访问外网时使用）
+ *   INLINE_IMAGE_MAX_BYTES      — 单张内联图片的大小上限（默认 20971520）
+ *   INLINE_IMAGE_MAX_DIMENSION  — 内联前按比例缩小到该边长以内（需要 Cloudflare Image Resizing，默认 0 不缩放）
+ *   INLINE_IMAGE_TIMEOUT_MS     — 下载单张图片的超时毫秒数（默认 10000）
+ *   INLINE_IMAGE_MAX_COUNT      — 单个请求中可内联的远程图片数上限（默认 32）
+ *   INLINE_IMAGE_MAX_TOTAL_BYTES — 单个请求中内联图片的合计大小上限（默认 52428800）
+ *   UNSUPPORTED_PARAMS          — 入站请求中无法转换的参数的处理方式：warn（默认，丢弃并通过响应头告知）、drop 或 reject（返回 400，也可写作 strict）
  */
 
 // ─────────────────────────────────────────────────────────────────────────────
 // 通用工具函数
 // ─────────────────────────────────────────────────────────────────────────────
 
-function jsonResponse(data, status = 200) {
+// 允许浏览器端读取的代理响应头
+const EXPOSED_HEADERS = [
+    'X-Proxy-Upstream',
+    'X-Proxy-Dropped-Params',
+    'Retry-After',
+    'x-ratelimit-limit-requests',
+    'x-ratelimit-remaining-requests',
+    'x-ratelimit-reset-requests',
+    'x-ratelimit-limit-tokens',
+    'x-ratelimit-remaining-tokens',
+    'x-ratelimit-reset-tokens',
+].join(', ');
+
+function jsonResponse(data, status = 200, extraHeaders = {}) {
     return new Response(JSON.stringify(data), {
         status,
         headers: {
             'Content-Type': 'application/json',
             'Access-Control-Allow-Origin': '*',
+            'Access-Control-Expose-Headers': EXPOSED_HEADERS,
+            ...extraHeaders,
+        },
+    });
+}
+
+/**
+ * SSE 响应；传入 streamOptions 时经 withKeepalive() 包装（保活注释与客户端断开回调）
+ */
+function sseResponse(stream, extraHeaders = {}, streamOptions = null) {
+    return new Response(streamOptions ? withKeepalive(stream, streamOptions) : stream, {
+        headers: {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Expose-Headers': EXPOSED_HEADERS,
+            ...extraHeaders,
+        },
+    });
+}
+
+/**
+ * 数据块是否以 SSE 事件分隔符（\n\n 或 \r\n\r\n）结尾
+ */
+function endsWithBlankLine(value) {
+    if (typeof value === 'string') return value.endsWith('\n\n') || value.endsWith('\r\n\r\n');
+    const n = value.length;
+    if (n < 2 || value[n - 1] !== 10) return false;
+    return value[n - 2] === 10 || (n >= 4 && value[n - 2] === 13 && value[n - 3] === 10 && value[n - 4] === 13);
+}
+
+/**
+ * 包装下行流：
+ *   - keepaliveMs > 0 时，若超过该时长没有新数据，在事件边界处写入 SSE 注释 `: keepalive`，
+ *     避免客户端或中间代理因长时间静默（如推理模型思考阶段）断开连接
+ *   - 客户端断开（流被取消）时调用 onCancel()，用于中止上游请求
+ */
+function withKeepalive(stream, { keepaliveMs = 0, onCancel } = {}) {
+    const reader = stream.getReader();
+    const comment = new TextEncoder().encode(': keepalive\n\n');
+    let pending = null;
+    let atBoundary = true;
+
+    return new ReadableStream({
+        async pull(controller) {
+            pending = pending || reader.read();
+            let timer;
+            const tick = keepaliveMs && atBoundary
+                ? new Promise((resolve) => { timer = setTimeout(resolve, keepaliveMs, null); })
+                : null;
+            try {
+                const result = await (tick ? Promise.race([pending, tick]) : pending);
+                if (!result) {
+                    controller.enqueue(comment);
+                    return;
+                }
+                pending = null;
+                if (result.done) {
+                    controller.close();
+                    return;
+                }
+                controller.enqueue(result.value);
+                // 只在完整事件之后插入注释，不能打断写到一半的事件
+                atBoundary = endsWithBlankLine(result.value);
+            } catch (err) {
+                controller.error(err);
+            } finally {
+                clearTimeout(timer);
+            }
+        },
+        cancel(reason) {
+            if (onCancel) onCancel(reason);
+            return reader.cancel(reason);
         },
     });
 }
 
+/**
+ * 尝试把上游返回的错误文本解析为 JSON，失败时包装为 OpenAI 风格的错误体
+ */
+function parseErrorBody(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return { error: { message: text } };
+    }
+}
+
 function corsPreflightResponse() {
     return new Response(null, {
         headers: {
             'Access-Control-Allow-Origin': '*',
             'Access-Control-Allow-Methods': 'OPTIONS, POST, GET',
-            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization, x-api-key, anthropic-version, anthropic-beta, x-goog-api-key',
         },
     });
 }
@@ -66,14 +197,146 @@ function normalizeMessageContent(content) {
     return String(content);
 }
 
+/**
+ * 计算字符串的 SHA-256 摘要（ArrayBuffer）
+ */
+function sha256(text) {
+    return crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+}
+
+/**
+ * 以常数时间比较两个字符串（比较二者的 SHA-256 摘要，耗时与长度和公共前缀无关），用于校验令牌与密钥
+ */
+async function timingSafeEqualStrings(a, b) {
+    const [da, db] = await Promise.all([sha256(a), sha256(b)]);
+    return crypto.subtle.timingSafeEqual(da, db);
+}
+
+/**
+ * 读取布尔型环境变量（"1" / "true" / "yes" 视为开启）
+ */
+function envFlag(env, name) {
+    const v = env && env[name];
+    if (typeof v === 'boolean') return v;
+    return typeof v === 'string' && /^(1|true|yes|on)$/i.test(v.trim());
+}
+
+/**
+ * 读取毫秒数类型的环境变量；未配置或非法时返回默认值，0 表示不限制
+ */
+function parseDuration(value, fallback) {
+    if (value == null || value === '') return fallback;
+    const n = Number(value);
+    return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+/**
+ * 读取正整数类型的环境变量；未配置或非法时返回默认值
+ */
+function parseIntEnv(value, fallback) {
+    const n = Number.parseInt(value, 10);
+    return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+/**
+ * 校验客户端请求的候选数 n（Responses API 不支持 n，由代理并发发送 n 个请求）
+ *
+ * 返回 { n } 或 { error }（OpenAI 风格的 400 错误体）；上限由 MAX_CHOICES 配置，默认 8
+ */
+function resolveChoiceCount(value, env) {
+    if (value == null) return { n: 1 };
+    const max = parseIntEnv(env.MAX_CHOICES, 8);
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1 || n > max) {
+        return {
+            error: {
+                error: {
+                    message: `n 必须是 1 到 ${max} 之间的整数`,
+                    type: 'invalid_request_error',
+                    param: 'n',
+                    code: 'invalid_value',
+                },
+            },
+        };
+    }
+    return { n };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 加密推理内容往返（reasoning.encrypted_content）
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * store=false 时上游不保存推理上下文，多轮对话需要把上一轮的 reasoning 输出项
+ * （含 encrypted_content）重新放回 input。Chat Completions 没有对应字段，
+ * 因此把这些输出项打包为不透明字符串，放在 assistant 消息的
+ * reasoning_encrypted_content 字段中交给客户端，客户端原样回传即可。
+ */
+function encodeReasoningBlob(items) {
+    const packed = items.map((item) => {
+        const out = { encrypted_content: item.encrypted_content };
+        if (item.id) out.id = item.id;
+        if (Array.isArray(item.summary) && item.summary.length) out.summary = item.summary;
+        return out;
+    });
+    const bytes = new TextEncoder().encode(JSON.stringify(packed));
+    let binary = '';
+    for (const b of bytes) binary += String.fromCharCode(b);
+    return btoa(binary);
+}
+
+/**
+ * 解析 reasoning_encrypted_content，还原为 Responses API 的 reasoning 输入项；无法解析时返回空数组
+ */
+function decodeReasoningBlob(blob) {
+    if (typeof blob !== 'string' || !blob) return [];
+    try {
+        const binary = atob(blob);
+        const bytes = Uint8Array.from(binary, (ch) => ch.charCodeAt(0));
+        const packed = JSON.parse(new TextDecoder().decode(bytes));
+        if (!Array.isArray(packed)) return [];
+        return packed
+            .filter((p) => p && typeof p.encrypted_content === 'string' && p.encrypted_content)
+            .map((p) => {
+                const item = { type: 'reasoning', summary: Array.isArray(p.summary) ? p.summary : [], encrypted_content: p.encrypted_content };
+                if (typeof p.id === 'string' && p.id) item.id = p.id;
+                return item;
+            });
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * 从 Responses API 的 output 中收集带 encrypted_content 的 reasoning 输出项并打包
+ */
+function extractReasoningBlob(upstreamJson) {
+    if (!upstreamJson || !Array.isArray(upstreamJson.output)) return '';
+    const items = upstreamJson.output.filter(
+        (item) => item && item.type === 'reasoning' && typeof item.encrypted_content === 'string' && item.encrypted_content,
+    );
+    return items.length ? encodeReasoningBlob(items) : '';
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // 请求体转换（Chat Completions → Responses API）
 // ─────────────────────────────────────────────────────────────────────────────
 
+/**
+ * 根据 data URL 的 MIME 类型生成默认文件名（Responses API 的 input_file 携带 file_data 时需要 filename）
+ */
+function defaultFilename(fileData) {
+    const match = /^data:[^/;,]+\/([\w.+-]+)/.exec(fileData || '');
+    return match ? `file.${match[1].replace(/^x-/, '')}` : 'file';
+}
+
 /**
  * 将多模态 content 数组的 type 字段映射为 Responses API 规范：
- *   "text"      → "input_text"
- *   "image_url" → "input_image"
+ *   "text"        → "input_text"
+ *   "image_url"   → "input_image"（保留 detail）
+ *   "input_audio" → "input_audio"
+ *   "file"        → "input_file"（file_id，或 base64 的 file_data + filename）
+ * Responses API 原生的 input_* 部件原样保留，其他无法识别的部件丢弃（上游会拒绝整个请求）。
  */
 function convertContentToResponsesParts(content) {
     if (typeof content === 'string') return content;
@@ -92,7 +355,7 @@ function convertContentToResponsesParts(content) {
         if (t === 'text' || t === 'input_text' || t === 'output_text') {
             if (typeof part.text === 'string') out.push({ type: 'input_text', text: part.text });
         } else if (t === 'image_url' || t === 'input_image') {
-            // 兼容多种 image_url 格式：字符串或 { url: "..." } 对象
+            // 兼容多种 image_url 格式：字符串或 { url: "...", detail: "..." } 对象
             const imageUrl = part.image_url;
             const url =
                 typeof imageUrl === 'string'
@@ -100,15 +363,70 @@ function convertContentToResponsesParts(content) {
                     : imageUrl && typeof imageUrl === 'object' && typeof imageUrl.url === 'string'
                         ? imageUrl.url
                         : '';
-            if (url) out.push({ type: 'input_image', image_url: url });
-        } else {
-            // 未知类型原样保留
-            out.push(part);
+            const detail = (imageUrl && typeof imageUrl === 'object' && imageUrl.detail) || part.detail;
+            const image = url ? { type: 'input_image', image_url: url } : part.file_id ? { type: 'input_image', file_id: part.file_id } : null;
+            if (!image) continue;
+            if (detail) image.detail = detail;
+            out.push(image);
+        } else if (t === 'input_audio') {
+            const audio = part.input_audio && typeof part.input_audio === 'object' ? part.input_audio : {};
+            if (typeof audio.data !== 'string' || !audio.data) continue;
+            out.push({ type: 'input_audio', input_audio: { data: audio.data, format: audio.format || 'wav' } });
+        } else if (t === 'file' || t === 'input_file') {
+            const file = t === 'file' && part.file && typeof part.file === 'object' ? part.file : part;
+            const input = { type: 'input_file' };
+            if (file.file_id) {
+                input.file_id = file.file_id;
+            } else if (typeof file.file_data === 'string' && file.file_data) {
+                input.file_data = file.file_data;
+                input.filename = file.filename || defaultFilename(file.file_data);
+            } else if (typeof file.file_url === 'string' && file.file_url) {
+                input.file_url = file.file_url;
+            } else {
+                continue;
+            }
+            out.push(input);
         }
+        // 其他类型无法转换，由 findUnsupportedContentParts() 按 UNSUPPORTED_PARAMS 策略报告
     }
     return out.length ? out : '';
 }
 
+// convertContentToResponsesParts() 能转换的部件类型；tool 消息的输出不支持音频
+const CONVERTIBLE_PART_TYPES = new Set(['text', 'input_text', 'output_text', 'image_url', 'input_image', 'input_audio', 'file', 'input_file']);
+const CONVERTIBLE_TOOL_OUTPUT_PART_TYPES = new Set([...CONVERTIBLE_PART_TYPES].filter((t) => t !== 'input_audio'));
+
+/**
+ * 找出 user / tool 消息中无法转换的 content 部件，每种类型只报告第一次出现的位置，如 messages[2].content[1]
+ */
+function findUnsupportedContentParts(messages) {
+    const unsupported = new Map();
+    (Array.isArray(messages) ? messages : []).forEach((msg, i) => {
+        if (!msg || typeof msg !== 'object' || !Array.isArray(msg.content)) return;
+        if (msg.role === 'system' || msg.role === 'developer' || msg.role === 'assistant') return;
+        const types = msg.role === 'tool' ? CONVERTIBLE_TOOL_OUTPUT_PART_TYPES : CONVERTIBLE_PART_TYPES;
+        msg.content.forEach((part, j) => {
+            if (!part || typeof part !== 'object' || types.has(part.type) || unsupported.has(part.type)) return;
+            unsupported.set(part.type, `messages[${i}].content[${j}]`);
+        });
+    });
+    return [...unsupported.values()];
+}
+
+/**
+ * 将 tool 消息的 content 转换为 function_call_output 的 output：
+ * 纯文本时为字符串；含图片或文件时为 input_text / input_image / input_file 部件数组
+ */
+function convertToolOutput(content) {
+    if (!Array.isArray(content)) return normalizeMessageContent(content);
+    const parts = convertContentToResponsesParts(content);
+    if (!Array.isArray(parts)) return parts;
+
+    const supported = parts.filter((p) => p.type === 'input_text' || p.type === 'input_image' || p.type === 'input_file');
+    if (supported.every((p) => p.type === 'input_text')) return supported.map((p) => p.text).join('');
+    return supported;
+}
+
 /**
  * 从 Chat Completions 的 assistant 消息中提取工具调用，返回标准化列表
  */
@@ -164,15 +482,18 @@ function chatMessagesToResponsesInput(messages) {
         // tool → function_call_output
         if (role === 'tool') {
             const callId = msg.tool_call_id ?? msg.call_id ?? msg.id ?? '';
-            const output = normalizeMessageContent(msg.content);
+            const output = convertToolOutput(msg.content);
             if (callId) {
                 inputItems.push({ type: 'function_call_output', call_id: callId, output: output ?? '' });
             }
             continue;
         }
 
-        // assistant → 文本 + function_call items
+        // assistant → reasoning + 文本 + function_call items
         if (role === 'assistant') {
+            // 上一轮回传的加密推理内容放在该轮输出之前
+            inputItems.push(...decodeReasoningBlob(msg.reasoning_encrypted_content));
+
             const text = normalizeMessageContent(msg.content);
             if (text.trim()) {
                 inputItems.push({ role: 'assistant', content: text });
@@ -209,10 +530,55 @@ function chatMessagesToResponsesInput(messages) {
     return { instructions: instructions || null, input: inputItems };
 }
 
+// 由上游执行的内置工具，调用结果不需要客户端回传
+const BUILTIN_TOOL_TYPES = ['web_search', 'web_search_preview', 'file_search', 'code_interpreter'];
+
+// 内置工具的详细结果默认不返回，需要通过 include 显式请求
+const BUILTIN_TOOL_INCLUDES = {
+    web_search: 'web_search_call.action.sources',
+    file_search: 'file_search_call.results',
+    code_interpreter: 'code_interpreter_call.outputs',
+};
+
+/**
+ * 规范化内置工具定义：兼容把参数嵌套在同名字段中的写法，
+ * 如 { type: "file_search", file_search: { vector_store_ids } } → { type: "file_search", vector_store_ids }；
+ * code_interpreter 未指定 container 时使用自动创建的容器
+ */
+function transformBuiltinTool(tool) {
+    const nested = tool[tool.type] && typeof tool[tool.type] === 'object' ? tool[tool.type] : {};
+    const result = { type: tool.type, ...nested, ...tool };
+    delete result[tool.type];
+    if (tool.type === 'code_interpreter' && !result.container) result.container = { type: 'auto' };
+    return result;
+}
+
+/**
+ * 将 Chat Completions 的 web_search_options 转换为 Responses API 的 web_search 工具：
+ *   search_context_size           → search_context_size
+ *   user_location.approximate.*   → user_location.{ city, country, region, timezone }
+ */
+function webSearchOptionsToTool(options) {
+    const tool = { type: 'web_search' };
+    if (options.search_context_size) tool.search_context_size = options.search_context_size;
+
+    const location = options.user_location && typeof options.user_location === 'object' ? options.user_location : null;
+    if (location) {
+        const approx = location.approximate && typeof location.approximate === 'object' ? location.approximate : location;
+        const userLocation = { type: 'approximate' };
+        for (const key of ['city', 'country', 'region', 'timezone']) {
+            if (approx[key]) userLocation[key] = approx[key];
+        }
+        tool.user_location = userLocation;
+    }
+    return tool;
+}
+
 /**
  * 将 tools 数组中函数工具的定义格式从 Chat Completions 格式转为 Responses API 格式：
  *   { type: "function", function: { name, description, parameters } }
  *     → { type: "function", name, description, parameters }
+ * 内置工具（web_search / file_search / code_interpreter）经 transformBuiltinTool() 规范化，其他类型原样保留。
  *
  * 参考 any-api: providers/openai.ts → openaiToolsToResponsesTools()
  */
@@ -221,6 +587,7 @@ function transformTools(tools) {
 
     return tools.map((tool) => {
         if (!tool || typeof tool !== 'object') return tool;
+        if (BUILTIN_TOOL_TYPES.includes(tool.type)) return transformBuiltinTool(tool);
         if (tool.type !== 'function') return tool; // 非函数类型原样保留
 
         const fn = tool.function && typeof tool.function === 'object' ? tool.function : null;
@@ -264,6 +631,9 @@ function transformToolChoice(toolChoice) {
  */
 function transformResponseFormat(responseFormat) {
     if (!responseFormat || typeof responseFormat !== 'object') return undefined;
+    if (responseFormat.type === 'json_object' || responseFormat.type === 'text') {
+        return { format: { type: responseFormat.type } };
+    }
     if (responseFormat.type !== 'json_schema') return undefined;
 
     return {
@@ -274,10 +644,45 @@ function transformResponseFormat(responseFormat) {
     };
 }
 
+/**
+ * 旧版 functions / function_call 字段转换为 tools / tool_choice 写法
+ */
+function legacyFunctionsToTools(functions) {
+    if (!Array.isArray(functions)) return undefined;
+    return functions.map((fn) => ({ type: 'function', function: fn }));
+}
+
+function legacyFunctionCallToToolChoice(functionCall) {
+    if (functionCall && typeof functionCall === 'object' && typeof functionCall.name === 'string') {
+        return { type: 'function', name: functionCall.name };
+    }
+    return functionCall;
+}
+
+/**
+ * 组装 Responses API 的 reasoning 参数
+ *
+ * 推理摘要需要客户端显式开启，支持两种写法：
+ *   - 顶层 reasoning_summary: "auto" | "concise" | "detailed"
+ *   - reasoning: { effort, summary }（与 Responses API 同构）
+ */
+function transformReasoning(originalBody) {
+    const obj = originalBody.reasoning && typeof originalBody.reasoning === 'object' ? originalBody.reasoning : {};
+    const effort = originalBody.reasoning_effort || originalBody.reasoningEffort || obj.effort;
+    const summary = originalBody.reasoning_summary || obj.summary;
+
+    const reasoning = {};
+    if (typeof effort === 'string' && effort.trim()) reasoning.effort = effort.trim();
+    if (typeof summary === 'string' && summary.trim()) reasoning.summary = summary.trim();
+    return Object.keys(reasoning).length ? reasoning : undefined;
+}
+
 /**
  * 将完整的 Chat Completions 请求体转换为单个 Responses API 请求体
+ *
+ * options.encryptedReasoning — 强制以 store=false 请求并取回加密推理内容（对应环境变量 REASONING_ENCRYPTED_CONTENT）
  */
-function buildResponsesApiRequest(originalBody) {
+function buildResponsesApiRequest(originalBody, options = {}) {
     const { instructions, input } = chatMessagesToResponsesInput(originalBody.messages);
 
     const responsesReq = {
@@ -289,13 +694,19 @@ function buildResponsesApiRequest(originalBody) {
     // instructions
     if (instructions) responsesReq.instructions = instructions;
 
-    // tools
-    const tools = transformTools(originalBody.tools);
-    if (tools && tools.length) responsesReq.tools = tools;
+    // tools；web_search_options 转换为 web_search 工具（已显式声明 web_search 工具时以其为准）
+    const tools = transformTools(originalBody.tools ?? legacyFunctionsToTools(originalBody.functions)) || [];
+    const webSearchOptions = originalBody.web_search_options;
+    if (webSearchOptions && typeof webSearchOptions === 'object'
+        && !tools.some((t) => t && (t.type === 'web_search' || t.type === 'web_search_preview'))) {
+        tools.push(webSearchOptionsToTool(webSearchOptions));
+    }
+    if (tools.length) responsesReq.tools = tools;
 
     // tool_choice
-    const toolChoice = transformToolChoice(originalBody.tool_choice);
+    const toolChoice = transformToolChoice(originalBody.tool_choice ?? legacyFunctionCallToToolChoice(originalBody.function_call));
     if (toolChoice !== undefined) responsesReq.tool_choice = toolChoice;
+    if (typeof originalBody.parallel_tool_calls === 'boolean' && tools.length) responsesReq.parallel_tool_calls = originalBody.parallel_tool_calls;
 
     // max_tokens → max_output_tokens
     if (originalBody.max_tokens != null) responsesReq.max_output_tokens = originalBody.max_tokens;
@@ -305,81 +716,475 @@ function buildResponsesApiRequest(originalBody) {
     if (originalBody.temperature != null) responsesReq.temperature = originalBody.temperature;
     if (originalBody.top_p != null) responsesReq.top_p = originalBody.top_p;
 
-    // stop
-    if (originalBody.stop != null) responsesReq.stop = originalBody.stop;
+    // reasoning_effort / reasoning_summary → reasoning
+    const reasoning = transformReasoning(originalBody);
+    if (reasoning) responsesReq.reasoning = reasoning;
+
+    // store=false 时请求加密推理内容，以便下一轮回传
+    if (options.encryptedReasoning) responsesReq.store = false;
+    else if (typeof originalBody.store === 'boolean') responsesReq.store = originalBody.store;
+    const include = [];
+    if (responsesReq.store === false) include.push('reasoning.encrypted_content');
 
-    // reasoning_effort → reasoning
-    const effort = originalBody.reasoning_effort || originalBody.reasoningEffort;
-    if (typeof effort === 'string' && effort.trim()) {
-        responsesReq.reasoning = { effort: effort.trim() };
+    // logprobs → include message.output_text.logprobs；top_logprobs 原样传递
+    if (originalBody.logprobs === true) {
+        include.push('message.output_text.logprobs');
+        if (originalBody.top_logprobs != null) responsesReq.top_logprobs = originalBody.top_logprobs;
     }
+    for (const tool of tools) {
+        const extra = tool && BUILTIN_TOOL_INCLUDES[tool.type];
+        if (extra && !include.includes(extra)) include.push(extra);
+    }
+    if (include.length) responsesReq.include = include;
+
+    // response_format → text.format；verbosity → text.verbosity
+    const text = { ...transformResponseFormat(originalBody.response_format) };
+    if (originalBody.verbosity != null) text.verbosity = originalBody.verbosity;
+    if (Object.keys(text).length) responsesReq.text = text;
 
-    // response_format → text.format
-    const textFormat = transformResponseFormat(originalBody.response_format);
-    if (textFormat) responsesReq.text = textFormat;
+    // 两侧同名同义的字段原样传递
+    for (const key of PASSTHROUGH_CHAT_PARAMS) {
+        if (originalBody[key] != null) responsesReq[key] = originalBody[key];
+    }
 
     return responsesReq;
 }
 
+// 两侧同名同义、原样传递的字段
+const PASSTHROUGH_CHAT_PARAMS = ['user', 'metadata', 'service_tier', 'prompt_cache_key', 'safety_identifier'];
+
+// buildResponsesApiRequest() 会转换或由代理自行处理的 Chat Completions 字段
+const HANDLED_CHAT_PARAMS = new Set([
+    'model', 'messages', 'stream', 'stream_options', 'n',
+    'tools', 'tool_choice', 'functions', 'function_call', 'parallel_tool_calls', 'web_search_options',
+    'max_tokens', 'max_completion_tokens', 'temperature', 'top_p',
+    'reasoning', 'reasoning_effort', 'reasoningEffort', 'reasoning_summary',
+    'store', 'logprobs', 'top_logprobs', 'response_format', 'verbosity',
+    ...PASSTHROUGH_CHAT_PARAMS,
+]);
+
+// Responses API 没有对应项、但取这些值时与不传等价的字段
+const NEUTRAL_CHAT_PARAMS = {
+    frequency_penalty: (v) => v === 0,
+    presence_penalty: (v) => v === 0,
+    logit_bias: (v) => typeof v === 'object' && !Array.isArray(v) && Object.keys(v).length === 0,
+    modalities: (v) => Array.isArray(v) && v.every((m) => m === 'text'),
+    stop: (v) => Array.isArray(v) && v.length === 0,
+};
+
+/**
+ * 找出对象中不在 handled 之列的字段（取值与不传等价的除外），按出现顺序返回字段名
+ */
+function findUnknownParams(obj, handled, neutral = {}) {
+    return Object.keys(obj).filter((key) => {
+        const value = obj[key];
+        if (value == null || handled.has(key)) return false;
+        return !(neutral[key] && neutral[key](value));
+    });
+}
+
+/**
+ * 找出 Chat Completions 请求中无法转换为 Responses API 的字段（如 seed、stop、frequency_penalty、logit_bias、audio），
+ * 依赖其他字段、单独出现时不会生效的字段（没有 logprobs: true 的 top_logprobs，没有工具的 parallel_tool_calls），
+ * 以及无法转换的 content 部件
+ */
+function findUnsupportedChatParams(originalBody) {
+    const unsupported = findUnknownParams(originalBody, HANDLED_CHAT_PARAMS, NEUTRAL_CHAT_PARAMS);
+    if (originalBody.top_logprobs != null && originalBody.logprobs !== true) unsupported.push('top_logprobs');
+    const tools = originalBody.tools ?? originalBody.functions;
+    const hasTools = (Array.isArray(tools) && tools.length > 0)
+        || Boolean(originalBody.web_search_options && typeof originalBody.web_search_options === 'object');
+    if (originalBody.parallel_tool_calls != null && !hasTools) unsupported.push('parallel_tool_calls');
+    unsupported.push(...findUnsupportedContentParts(originalBody.messages));
+    return unsupported;
+}
+
+// UNSUPPORTED_PARAMS 的取值（小写），未配置时为 warn
+function unsupportedParamPolicy(env) {
+    return String(env.UNSUPPORTED_PARAMS || 'warn').trim().toLowerCase();
+}
+
+// 已在日志中报告过的字段名（忽略数组下标，每个 isolate 只记录一次，逐请求的情况见 X-Proxy-Dropped-Params 响应头）
+const loggedUnsupportedParams = new Set();
+
+/**
+ * 按 UNSUPPORTED_PARAMS 策略处理无法转换的字段：
+ *   drop            — 静默丢弃
+ *   warn            — 丢弃并在响应头 X-Proxy-Dropped-Params 中列出（默认）
+ *   reject / strict — 返回 400 invalid_request_error，param 为第一个不支持的字段
+ *
+ * 返回 OpenAI 风格的 { error } 或 { headers }
+ */
+function applyUnsupportedParamPolicy(unsupported, env) {
+    if (!unsupported.length) return { headers: {} };
+
+    const policy = unsupportedParamPolicy(env);
+    if (policy === 'reject' || policy === 'strict') {
+        return {
+            error: {
+                error: {
+                    message: `上游 Responses API 不支持以下参数：${unsupported.join(', ')}`,
+                    type: 'invalid_request_error',
+                    param: unsupported[0],
+                    code: 'unsupported_parameter',
+                },
+            },
+        };
+    }
+    if (policy === 'drop') return { headers: {} };
+
+    const fresh = [...new Set(unsupported.map((name) => name.replace(/\[\d+\]/g, '[]')))]
+        .filter((name) => !loggedUnsupportedParams.has(name));
+    if (fresh.length) {
+        fresh.forEach((name) => loggedUnsupportedParams.add(name));
+        console.warn('[Worker] 已丢弃不支持的参数:', fresh.join(', '));
+    }
+    return { headers: { 'X-Proxy-Dropped-Params': unsupported.join(', ') } };
+}
+
+// 变体元数据：该变体在基础格式上应用了哪些调整（Symbol 键不会被 JSON.stringify 发往上游）
+const VARIANT_SHAPE = Symbol('variantShape');
+
+/**
+ * 请求格式调整项，按应用顺序排列
+ *
+ * hint 用于从上游 400/422 的错误文本判断应尝试哪一项调整，例如
+ * "Unsupported parameter: 'max_output_tokens'" → max_tokens；
+ * drops 为该调整去掉、因而不会生效的上游字段，在 X-Proxy-Dropped-Params 中报告
+ */
+const REQUEST_ADAPTATIONS = [
+    {
+        // max_output_tokens → max_tokens（部分供应商使用旧字段名）
+        name: 'max_tokens',
+        hint: /max_output_tokens/i,
+        applies: (req) => req.max_output_tokens != null,
+        apply(req) {
+            const v = { ...req, max_tokens: req.max_output_tokens };
+            delete v.max_output_tokens;
+            return v;
+        },
+    },
+    {
+        // instructions 内联到 input 中作为 developer 消息
+        name: 'inline_instructions',
+        hint: /instructions/i,
+        applies: (req) => typeof req.instructions === 'string' && req.instructions.trim() !== '' && Array.isArray(req.input),
+        apply(req) {
+            const v = { ...req };
+            delete v.instructions;
+            v.input = [{ role: 'developer', content: [{ type: 'input_text', text: req.instructions }] }, ...req.input];
+            return v;
+        },
+    },
+    {
+        // 去掉 reasoning.summary（部分供应商不支持推理摘要）
+        name: 'reasoning_without_summary',
+        hint: /summary/i,
+        drops: ['reasoning.summary'],
+        applies: (req) => Boolean(req.reasoning && req.reasoning.summary && req.reasoning.effort),
+        apply: (req) => ({ ...req, reasoning: { effort: req.reasoning.effort } }),
+    },
+    {
+        // reasoning.effort → 顶层 reasoning_effort 字符串
+        name: 'reasoning_effort_field',
+        hint: /reasoning/i,
+        applies: (req) => Boolean(req.reasoning && req.reasoning.effort),
+        apply(req) {
+            const v = { ...req, reasoning_effort: req.reasoning.effort };
+            delete v.reasoning;
+            return v;
+        },
+    },
+    {
+        // 无 reasoning 参数
+        name: 'drop_reasoning',
+        hint: /reasoning/i,
+        drops: ['reasoning'],
+        applies: (req) => Boolean(req.reasoning && typeof req.reasoning === 'object') || req.reasoning_effort != null,
+        apply(req) {
+            const v = { ...req };
+            delete v.reasoning;
+            delete v.reasoning_effort;
+            return v;
+        },
+    },
+    {
+        // 去掉 logprobs 相关参数（部分供应商不支持），保留 include 中的其他项
+        name: 'drop_logprobs',
+        hint: /logprobs/i,
+        drops: ['logprobs', 'top_logprobs'],
+        applies: (req) => req.top_logprobs != null
+            || (Array.isArray(req.include) && req.include.includes('message.output_text.logprobs')),
+        apply(req) {
+            const v = { ...req };
+            delete v.top_logprobs;
+            if (Array.isArray(req.include)) {
+                v.include = req.include.filter((x) => x !== 'message.output_text.logprobs');
+                if (!v.include.length) delete v.include;
+            }
+            return v;
+        },
+    },
+    {
+        // 去掉 include（部分供应商不支持加密推理内容）
+        name: 'drop_include',
+        hint: /include|encrypted_content/i,
+        drops: ['include'],
+        applies: (req) => Array.isArray(req.include),
+        apply(req) {
+            const v = { ...req };
+            delete v.include;
+            return v;
+        },
+    },
+];
+
+// 不了解上游时依次尝试的变体
+const DEFAULT_VARIANT_SHAPES = [
+    [],
+    ['max_tokens'],
+    ['inline_instructions'],
+    ['inline_instructions', 'max_tokens'],
+    ['reasoning_without_summary'],
+    ['reasoning_effort_field'],
+    ['drop_reasoning'],
+    ['drop_include'],
+];
+
+/**
+ * 在基础请求上应用一组调整，不适用于该请求的调整会被跳过；实际应用的调整记录在 VARIANT_SHAPE 中
+ */
+function applyVariantShape(base, shape) {
+    let req = { ...base };
+    const applied = [];
+    for (const adaptation of REQUEST_ADAPTATIONS) {
+        if (!shape.includes(adaptation.name) || !adaptation.applies(req)) continue;
+        req = adaptation.apply(req);
+        applied.push(adaptation.name);
+    }
+    req[VARIANT_SHAPE] = applied;
+    return req;
+}
+
+/**
+ * 在已由 applyUnsupportedParamPolicy() 生成的响应头上追加成功变体去掉的上游字段（含已学到的格式）；
+ * 多路请求（n > 1）取各路的并集，UNSUPPORTED_PARAMS=drop 时不追加
+ */
+function withVariantDroppedParams(headers, result, env) {
+    const results = result.results || [result];
+    const applied = new Set(results.flatMap((r) => r.shape || []));
+    const dropped = [...new Set(REQUEST_ADAPTATIONS
+        .filter((a) => a.drops && applied.has(a.name))
+        .flatMap((a) => a.drops))];
+    if (!dropped.length || unsupportedParamPolicy(env) === 'drop') return headers;
+
+    const listed = headers['X-Proxy-Dropped-Params'];
+    return { ...headers, 'X-Proxy-Dropped-Params': [listed, ...dropped].filter(Boolean).join(', ') };
+}
+
+/**
+ * 根据上游 400/422 的错误文本找出相关的调整项
+ */
+function adaptationHints(errorText) {
+    const text = String(errorText || '');
+    return REQUEST_ADAPTATIONS.filter((a) => a.hint.test(text)).map((a) => a.name);
+}
+
 /**
  * 生成多个请求变体，提高上游兼容性
  *
  * 参考 any-api: providers/openai.ts → responsesReqVariants()
- * 当上游返回 400/422 时，自动尝试下一种变体格式
+ * 当上游返回 400/422 时，sendWithRetry() 依据错误文本与已学到的格式选择下一种变体
  */
 function buildRequestVariants(responsesReq) {
     const variants = [];
-    const base = { ...responsesReq };
-    variants.push(base);
-
-    // 变体1：max_output_tokens → max_tokens（部分供应商使用旧字段名）
-    if (base.max_output_tokens != null) {
-        const v = { ...base };
-        delete v.max_output_tokens;
-        v.max_tokens = base.max_output_tokens;
+    const seen = new Set();
+    for (const shape of DEFAULT_VARIANT_SHAPES) {
+        const v = applyVariantShape(responsesReq, shape);
+        if (v[VARIANT_SHAPE].length !== shape.length) continue;  // 该调整不适用于本请求
+
+        // 去重
+        const key = JSON.stringify(v);
+        if (seen.has(key)) continue;
+        seen.add(key);
         variants.push(v);
     }
+    return variants;
+}
 
-    // 变体2：instructions 内联到 input 中作为 developer 消息
-    if (typeof base.instructions === 'string' && base.instructions.trim() && Array.isArray(base.input)) {
-        const v = { ...base };
-        delete v.instructions;
-        v.input = [{ role: 'developer', content: [{ type: 'input_text', text: base.instructions }] }, ...base.input];
-        variants.push(v);
+// ─────────────────────────────────────────────────────────────────────────────
+// 远程图片内联（INLINE_IMAGES）
+// ─────────────────────────────────────────────────────────────────────────────
+
+// 允许内联的图片类型（与 OpenAI 视觉输入支持的格式一致）
+const INLINE_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// 同时下载的图片数
+const INLINE_IMAGE_CONCURRENCY = 4;
+
+/**
+ * 读取图片内联配置；未开启 INLINE_IMAGES 时返回 null
+ *
+ * remainingBytes 为本次请求剩余的合计字节预算，由各张图片的下载共同扣减，只在一次请求内有效
+ */
+function resolveInlineImageOptions(env) {
+    if (!envFlag(env, 'INLINE_IMAGES')) return null;
+    const maxTotalBytes = parseIntEnv(env.INLINE_IMAGE_MAX_TOTAL_BYTES, 50 * 1024 * 1024);
+    return {
+        maxBytes: parseIntEnv(env.INLINE_IMAGE_MAX_BYTES, 20 * 1024 * 1024),
+        maxCount: parseIntEnv(env.INLINE_IMAGE_MAX_COUNT, 32),
+        maxTotalBytes,
+        maxDimension: parseDuration(env.INLINE_IMAGE_MAX_DIMENSION, 0),
+        timeoutMs: parseDuration(env.INLINE_IMAGE_TIMEOUT_MS, 10000),
+        remainingBytes: maxTotalBytes,
+    };
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * 下载远程图片并转换为 data URL；类型不符、超过单张或合计大小上限、下载失败时抛出异常
+ *
+ * 配置 maxDimension 时通过 Cloudflare Image Resizing（fetch 的 cf.image 选项）按比例缩小，
+ * 未开启 Image Resizing 的 zone 会忽略该选项，返回原图。
+ */
+async function fetchImageAsDataUrl(url, options) {
+    const init = {};
+    if (options.timeoutMs) init.signal = AbortSignal.timeout(options.timeoutMs);
+    if (options.maxDimension) {
+        init.cf = { image: { width: options.maxDimension, height: options.maxDimension, fit: 'scale-down' } };
+    }
+
+    const resp = await fetch(url, init);
+    if (!resp.ok) {
+        if (resp.body) resp.body.cancel().catch(() => {});
+        throw new Error(`下载失败（HTTP ${resp.status}）`);
+    }
+
+    const contentType = (resp.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+    if (!INLINE_IMAGE_TYPES.includes(contentType)) {
+        if (resp.body) resp.body.cancel().catch(() => {});
+        throw new Error(`不支持的图片类型 ${contentType || '（未知）'}`);
+    }
+    const tooLarge = () => new Error(`图片超过 ${options.maxBytes} 字节的上限`);
+    if (Number(resp.headers.get('Content-Length')) > options.maxBytes) {
+        if (resp.body) resp.body.cancel().catch(() => {});
+        throw tooLarge();
+    }
 
-        // 组合变体：内联 instructions + max_tokens
-        if (base.max_output_tokens != null) {
-            const v2 = { ...v };
-            delete v2.max_output_tokens;
-            v2.max_tokens = base.max_output_tokens;
-            variants.push(v2);
+    // Content-Length 可能缺失或不可信，边读边检查大小
+    const chunks = [];
+    let size = 0;
+    const reader = resp.body.getReader();
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        size += value.length;
+        options.remainingBytes -= value.length;
+        if (size > options.maxBytes) {
+            reader.cancel().catch(() => {});
+            throw tooLarge();
+        }
+        if (options.remainingBytes < 0) {
+            reader.cancel().catch(() => {});
+            throw new Error(`请求中的图片合计超过 ${options.maxTotalBytes} 字节的上限`);
         }
+        chunks.push(value);
     }
+    const bytes = new Uint8Array(size);
+    let offset = 0;
+    for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return `data:${contentType};base64,${bytesToBase64(bytes)}`;
+}
 
-    // 变体3：reasoning 字段格式差异（reasoning.effort vs reasoning_effort）
-    if (base.reasoning && typeof base.reasoning === 'object' && base.reasoning.effort) {
-        const effort = base.reasoning.effort;
+/**
+ * 把 Responses API 请求中以 http(s) 地址引用的 input_image 替换为 data URL（原地修改），
+ * 覆盖消息 content 与 function_call_output 中的图片，供无法访问外网的上游使用。
+ *
+ * 同一地址只下载一次（长对话历史里重复出现的图片），最多同时下载 INLINE_IMAGE_CONCURRENCY 张；
+ * 不同地址的数量超过 maxCount 时不下载，直接返回错误。
+ *
+ * options 为 resolveInlineImageOptions() 的返回值（null 时不做处理）。
+ * 成功时返回 null；任意一张图片无法内联时返回 OpenAI 风格的 400 错误体。
+ */
+async function inlineRemoteImages(responsesReq, options) {
+    if (!options || !Array.isArray(responsesReq.input)) return null;
 
-        // reasoning_effort 顶层字符串
-        const v1 = { ...base, reasoning_effort: effort };
-        delete v1.reasoning;
-        variants.push(v1);
+    const parts = [];
+    for (const item of responsesReq.input) {
+        if (!item || typeof item !== 'object') continue;
+        const content = item.type === 'function_call_output' ? item.output : item.content;
+        if (!Array.isArray(content)) continue;
+        for (const part of content) {
+            if (part && part.type === 'input_image' && typeof part.image_url === 'string' && /^https?:\/\//i.test(part.image_url)) {
+                parts.push(part);
+            }
+        }
+    }
+    if (!parts.length) return null;
+
+    const urls = [...new Set(parts.map((part) => part.image_url))];
+    if (urls.length > options.maxCount) {
+        return {
+            error: {
+                message: `请求中有 ${urls.length} 张远程图片，超过 ${options.maxCount} 张的内联上限`,
+                type: 'invalid_request_error',
+                param: null,
+                code: 'invalid_image_url',
+            },
+        };
+    }
 
-        // 无 reasoning 参数
-        const v2 = { ...base };
-        delete v2.reasoning;
-        delete v2.reasoning_effort;
-        variants.push(v2);
+    const dataUrls = new Map();
+    let next = 0;
+    let failed = false;
+    const download = async () => {
+        while (!failed && next < urls.length) {
+            const url = urls[next++];
+            try {
+                dataUrls.set(url, await fetchImageAsDataUrl(url, options));
+            } catch (err) {
+                failed = true;
+                err.imageUrl = url;
+                throw err;
+            }
+        }
+    };
+
+    try {
+        await Promise.all(Array.from({ length: Math.min(INLINE_IMAGE_CONCURRENCY, urls.length) }, download));
+    } catch (err) {
+        return {
+            error: {
+                message: `无法内联图片 ${err.imageUrl || ''}: ${err.message}`,
+                type: 'invalid_request_error',
+                param: null,
+                code: 'invalid_image_url',
+            },
+        };
     }
+    for (const part of parts) part.image_url = dataUrls.get(part.image_url);
+    return null;
+}
 
-    // 去重
-    const seen = new Set();
-    return variants.filter((v) => {
-        const key = JSON.stringify(v);
-        if (seen.has(key)) return false;
-        seen.add(key);
-        return true;
-    });
+/**
+ * 生成 sendRouted() 的 prepare 步骤：通过限流检查后再内联远程图片，被限流的请求不会触发下载；
+ * 未开启 INLINE_IMAGES 时返回 null。多次调用（n > 1 的多路请求）共用同一次内联结果
+ */
+function inlineImagesStep(responsesReq, env) {
+    const options = resolveInlineImageOptions(env);
+    if (!options) return null;
+    let pending = null;
+    return () => (pending ||= inlineRemoteImages(responsesReq, options));
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -406,13 +1211,138 @@ function extractTextContent(upstreamJson) {
                 }
             }
         }
-        if (parts.length) return parts.join('');
-        return JSON.stringify(upstreamJson.output);
+        // 只有工具调用、推理等非文本输出时没有文本内容
+        return parts.join('');
     }
 
     return JSON.stringify(upstreamJson);
 }
 
+/**
+ * 把 Responses API 的 logprobs 数组转换为 Chat Completions 的 logprobs.content 格式
+ */
+function mapLogprobs(list) {
+    if (!Array.isArray(list)) return [];
+    const encoder = new TextEncoder();
+    const mapToken = (t) => ({
+        token: t.token ?? '',
+        logprob: t.logprob ?? 0,
+        bytes: Array.isArray(t.bytes) ? t.bytes : Array.from(encoder.encode(t.token ?? '')),
+    });
+    return list
+        .filter((t) => t && typeof t === 'object')
+        .map((t) => ({
+            ...mapToken(t),
+            top_logprobs: Array.isArray(t.top_logprobs) ? t.top_logprobs.filter(Boolean).map(mapToken) : [],
+        }));
+}
+
+/**
+ * 从 Responses API 的 output_text 内容中提取逐 token 的 logprobs；上游没有返回时为 null
+ */
+function extractLogprobs(upstreamJson) {
+    if (!upstreamJson || !Array.isArray(upstreamJson.output)) return null;
+    const content = [];
+    let found = false;
+    for (const item of upstreamJson.output) {
+        if (!item || item.type !== 'message' || !Array.isArray(item.content)) continue;
+        for (const c of item.content) {
+            if (!c || c.type !== 'output_text' || !Array.isArray(c.logprobs)) continue;
+            found = true;
+            content.push(...mapLogprobs(c.logprobs));
+        }
+    }
+    return found ? { content, refusal: null } : null;
+}
+
+/**
+ * 从 Responses API 的 message 输出项中提取拒答内容（refusal 部件）；没有时返回 null
+ */
+function extractRefusal(upstreamJson) {
+    if (!upstreamJson || !Array.isArray(upstreamJson.output)) return null;
+    const parts = [];
+    for (const item of upstreamJson.output) {
+        if (!item || item.type !== 'message' || !Array.isArray(item.content)) continue;
+        for (const c of item.content) {
+            if (c && c.type === 'refusal' && typeof c.refusal === 'string') parts.push(c.refusal);
+        }
+    }
+    return parts.length ? parts.join('') : null;
+}
+
+/**
+ * 把 Responses API 的 annotations 转换为 Chat Completions 的 message.annotations：
+ *   url_citation  → { type: "url_citation", url_citation: { start_index, end_index, url, title } }
+ *   file_citation → { type: "file_citation", file_citation: { file_id, filename, index } }（Chat Completions 没有对应类型，按同样的结构保留）
+ * offset 为该文本部件在合并后的 content 中的起始位置，用于修正引用区间。
+ */
+function mapAnnotations(list, offset = 0) {
+    const out = [];
+    for (const a of Array.isArray(list) ? list : []) {
+        if (!a || typeof a !== 'object') continue;
+        if (a.type === 'url_citation') {
+            out.push({
+                type: 'url_citation',
+                url_citation: {
+                    start_index: (a.start_index ?? 0) + offset,
+                    end_index: (a.end_index ?? 0) + offset,
+                    url: a.url || '',
+                    title: a.title || '',
+                },
+            });
+        } else if (a.type === 'file_citation') {
+            const citation = { file_id: a.file_id ?? null, index: (a.index ?? 0) + offset };
+            if (a.filename) citation.filename = a.filename;
+            out.push({ type: 'file_citation', file_citation: citation });
+        }
+    }
+    return out;
+}
+
+/**
+ * 汇总所有 output_text 部件的引用，区间按 extractTextContent() 合并后的文本计算
+ */
+function extractAnnotations(upstreamJson) {
+    if (!upstreamJson || !Array.isArray(upstreamJson.output)) return [];
+    const out = [];
+    let offset = 0;
+    for (const item of upstreamJson.output) {
+        if (!item || item.type !== 'message' || !Array.isArray(item.content)) continue;
+        for (const c of item.content) {
+            if (!c || c.type !== 'output_text' || typeof c.text !== 'string') continue;
+            out.push(...mapAnnotations(c.annotations, offset));
+            offset += c.text.length;
+        }
+    }
+    return out;
+}
+
+/**
+ * 从 Responses API 的 reasoning 输出项中提取推理摘要
+ *
+ * 优先使用 summary[].summary_text；没有摘要时退回到 content[].reasoning_text（部分开源模型只给出原始推理）
+ */
+function extractReasoningContent(upstreamJson) {
+    if (!upstreamJson || !Array.isArray(upstreamJson.output)) return '';
+
+    const parts = [];
+    for (const item of upstreamJson.output) {
+        if (!item || typeof item !== 'object' || item.type !== 'reasoning') continue;
+
+        const summary = Array.isArray(item.summary) ? item.summary : [];
+        const texts = summary
+            .filter((s) => s && typeof s.text === 'string' && s.text)
+            .map((s) => s.text);
+        if (!texts.length && Array.isArray(item.content)) {
+            for (const c of item.content) {
+                if (c && c.type === 'reasoning_text' && typeof c.text === 'string' && c.text) texts.push(c.text);
+            }
+        }
+        parts.push(...texts);
+    }
+    return parts.join('\n\n');
+}
+
 /**
  * 从 Responses API 的 output 数组中提取工具调用
  *
@@ -443,14 +1373,119 @@ function extractToolCalls(upstreamJson) {
     return out;
 }
 
+// 内置工具调用项类型 → builtin_tool_calls 扩展字段中的 type
+const BUILTIN_TOOL_CALL_TYPES = {
+    web_search_call: 'web_search',
+    file_search_call: 'file_search',
+    code_interpreter_call: 'code_interpreter',
+};
+
+/**
+ * 将内置工具调用项转换为 builtin_tool_calls 扩展字段的条目：
+ * type 换成工具名，其余字段（status、action、queries、results、code、outputs 等）原样保留
+ */
+function mapBuiltinToolCall(item) {
+    const { type, ...rest } = item;
+    return { id: rest.id ?? null, type: BUILTIN_TOOL_CALL_TYPES[type], ...rest };
+}
+
+/**
+ * 从 Responses API 的 output 数组中提取内置工具（web_search / file_search / code_interpreter）的调用记录
+ */
+function extractBuiltinToolCalls(upstreamJson) {
+    if (!upstreamJson || !Array.isArray(upstreamJson.output)) return [];
+    return upstreamJson.output
+        .filter((item) => item && BUILTIN_TOOL_CALL_TYPES[item.type])
+        .map(mapBuiltinToolCall);
+}
+
+/**
+ * 将 Responses API 的 usage 字段映射为 Chat Completions 规范：
+ *   input_tokens_details.cached_tokens     → prompt_tokens_details.cached_tokens
+ *   output_tokens_details.reasoning_tokens → completion_tokens_details.reasoning_tokens
+ * 上游未给出 total_tokens 时按输入 + 输出计算。
+ */
+function mapUsageFields(rawUsage) {
+    const u = rawUsage || {};
+    const prompt = u.input_tokens ?? u.prompt_tokens ?? 0;
+    const completion = u.output_tokens ?? u.completion_tokens ?? 0;
+    const inputDetails = u.input_tokens_details || u.prompt_tokens_details || {};
+    const outputDetails = u.output_tokens_details || u.completion_tokens_details || {};
+    return {
+        prompt_tokens: prompt,
+        completion_tokens: completion,
+        total_tokens: u.total_tokens ?? prompt + completion,
+        prompt_tokens_details: { cached_tokens: inputDetails.cached_tokens ?? 0 },
+        completion_tokens_details: { reasoning_tokens: outputDetails.reasoning_tokens ?? 0 },
+    };
+}
+
+/**
+ * 累加多路 Chat Completions 规范的 usage（含 cached / reasoning 明细）
+ */
+function sumUsage(usages) {
+    const total = mapUsageFields({});
+    for (const u of usages) {
+        if (!u) continue;
+        total.prompt_tokens += u.prompt_tokens || 0;
+        total.completion_tokens += u.completion_tokens || 0;
+        total.total_tokens += u.total_tokens || 0;
+        total.prompt_tokens_details.cached_tokens += u.prompt_tokens_details?.cached_tokens || 0;
+        total.completion_tokens_details.reasoning_tokens += u.completion_tokens_details?.reasoning_tokens || 0;
+    }
+    return total;
+}
+
+/**
+ * 根据 Responses API 的 status / incomplete_details 判断 finish_reason：
+ *   incomplete + max_output_tokens → "length"
+ *   incomplete + content_filter    → "content_filter"
+ *   含工具调用                     → "tool_calls"
+ *   其他                           → "stop"
+ */
+function mapFinishReason(upstreamJson, hasToolCalls) {
+    if (upstreamJson && upstreamJson.status === 'incomplete') {
+        const reason = upstreamJson.incomplete_details && upstreamJson.incomplete_details.reason;
+        if (reason === 'max_output_tokens' || reason === 'max_tokens') return 'length';
+        if (reason === 'content_filter') return 'content_filter';
+    }
+    return hasToolCalls ? 'tool_calls' : 'stop';
+}
+
+/**
+ * 判断上游响应是否为失败状态（status=failed 或仅携带 error 对象）
+ */
+function isFailedResponse(upstreamJson) {
+    if (!upstreamJson || typeof upstreamJson !== 'object') return false;
+    if (upstreamJson.status === 'failed') return true;
+    return Boolean(upstreamJson.error && typeof upstreamJson.error === 'object' && !Array.isArray(upstreamJson.output));
+}
+
 /**
- * 将 Responses API 的 usage 字段映射为 Chat Completions 规范
+ * 将 Responses API 的 error 对象转换为 OpenAI 风格的错误体，并给出对应的 HTTP 状态码
  */
-function mapUsageFields(rawUsage = {}) {
+function buildUpstreamError(upstreamJson) {
+    const err = upstreamJson && upstreamJson.error && typeof upstreamJson.error === 'object' ? upstreamJson.error : {};
+    const code = err.code ?? null;
+
+    let status = 500;
+    let type = err.type || 'server_error';
+    if (code === 'rate_limit_exceeded') { status = 429; type = err.type || 'rate_limit_error'; }
+    else if (code === 'invalid_prompt' || code === 'invalid_request_error') { status = 400; type = err.type || 'invalid_request_error'; }
+    else if (code === 'content_filter') { status = 400; type = err.type || 'invalid_request_error'; }
+    else if (TIMEOUT_ERROR_CODES.includes(code)) { status = 504; type = err.type || 'timeout_error'; }
+    else if (code === 'upstream_stream_error' || code === 'upstream_incomplete_stream') status = 502;
+
     return {
-        prompt_tokens: rawUsage.input_tokens ?? rawUsage.prompt_tokens ?? 0,
-        completion_tokens: rawUsage.output_tokens ?? rawUsage.completion_tokens ?? 0,
-        total_tokens: rawUsage.total_tokens ?? 0,
+        status,
+        body: {
+            error: {
+                message: err.message || '上游响应失败',
+                type,
+                param: err.param ?? null,
+                code,
+            },
+        },
     };
 }
 
@@ -460,18 +1495,34 @@ function mapUsageFields(rawUsage = {}) {
 function buildChatCompletionsResponse(upstreamJson, originalBody) {
     const text = extractTextContent(upstreamJson);
     const toolCalls = extractToolCalls(upstreamJson);
+    const reasoningContent = extractReasoningContent(upstreamJson);
 
     const message = {
         role: 'assistant',
         content: text || null,
+        refusal: extractRefusal(upstreamJson),
     };
+    const annotations = extractAnnotations(upstreamJson);
+    if (annotations.length) {
+        message.annotations = annotations;
+    }
+    if (reasoningContent) {
+        message.reasoning_content = reasoningContent;
+    }
+    const reasoningBlob = extractReasoningBlob(upstreamJson);
+    if (reasoningBlob) {
+        message.reasoning_encrypted_content = reasoningBlob;
+    }
     if (toolCalls.length) {
         message.tool_calls = toolCalls;
     }
+    const builtinToolCalls = extractBuiltinToolCalls(upstreamJson);
+    if (builtinToolCalls.length) {
+        message.builtin_tool_calls = builtinToolCalls;
+    }
 
     // 判断结束原因
-    let finishReason = 'stop';
-    if (toolCalls.length) finishReason = 'tool_calls';
+    const finishReason = mapFinishReason(upstreamJson, toolCalls.length > 0);
 
     return {
         id: upstreamJson.id ?? 'chatcmpl-' + crypto.randomUUID(),
@@ -482,7 +1533,7 @@ function buildChatCompletionsResponse(upstreamJson, originalBody) {
             {
                 index: 0,
                 message,
-                logprobs: null,
+                logprobs: originalBody.logprobs === true ? extractLogprobs(upstreamJson) : null,
                 finish_reason: finishReason,
             },
         ],
@@ -519,353 +1570,3978 @@ function parseSseLines(text) {
     return out;
 }
 
+// 文本 delta 对应的 Chat Completions logprobs.content 条目（Symbol 键不会被 JSON.stringify 输出）
+const DELTA_LOGPROBS = Symbol('deltaLogprobs');
+
 /**
- * 将上游 Responses API 的 SSE 流实时转换为 Chat Completions chunk 格式
+ * Responses API SSE 事件状态机
  *
- * 参考 any-api: protocols/stream.ts 的事件解析逻辑
+ * 按 output item 的生命周期追踪每个输出项：
+ *   response.output_item.added → response.content_part.added / *.delta → *.done → response.output_item.done
+ *
+ * 上游通常只在 output_item.added 中给出工具调用的 call_id 与 name，
+ * 后续的参数增量仅以 item_id / output_index 关联，因此必须按输出项归属增量，
+ * 才能保证每个工具调用的首个 chunk 就带有正确的 index / id / name。
  *
- * 支持的 Responses API 事件类型：
- *   - response.output_text.delta  → 文本增量
- *   - response.function_call_arguments.delta → 工具调用参数增量
- *   - response.completed → 结束事件
- *   - response.created → 开始事件（提取 response ID）
+ * reasoning 输出项的摘要 / 推理文本增量映射为 delta.reasoning_content；
+ * 带 encrypted_content 的推理项在完成时打包为一个 delta.reasoning_encrypted_content。
+ * 内置工具调用项（web_search_call 等）在完成时以 delta.builtin_tool_calls 下发。
+ *
+ * handle() 每次返回零个或多个 Chat Completions delta；
+ * 流式（responseSseToChunkStream）与非流式（collectSseToJson）共用此逻辑。
+ * 文本增量带有 logprobs 时，转换后的值挂在 delta[DELTA_LOGPROBS] 上（不会序列化进 delta）。
  */
-function responseSseToChunkStream(upstreamBody, model) {
-    if (!upstreamBody) return null;
+function createResponsesStreamState() {
+    const state = {
+        id: null,
+        model: null,
+        createdAt: null,
+        usage: null,
+        response: null,     // 终止事件携带的完整 response 对象
+        status: null,       // completed / incomplete / failed
+        finished: false,    // 是否已收到终止事件
+        items: [],
+        toolCallCount: 0,
+        reasoningEmitted: false,
+    };
 
-    const encoder = new TextEncoder();
-    const decoder = new TextDecoder();
-    let buffer = '';
-    const chatId = 'chatcmpl-' + crypto.randomUUID();
-    const created = Math.floor(Date.now() / 1000);
+    const byItemId = new Map();
+    const byOutputIndex = new Map();
+    const byCallId = new Map();
 
-    // 用于追踪工具调用流式状态
-    const toolCallIndexMap = new Map(); // call_id → index
-    let toolCallIdx = 0;
+    function index(entry) {
+        if (entry.id) byItemId.set(entry.id, entry);
+        if (entry.outputIndex != null) byOutputIndex.set(entry.outputIndex, entry);
+        if (entry.callId) byCallId.set(entry.callId, entry);
+    }
 
-    return new ReadableStream({
-        async start(controller) {
-            const reader = upstreamBody.getReader();
-            try {
-                while (true) {
-                    const { value, done } = await reader.read();
-                    if (done) break;
-
-                    buffer += decoder.decode(value, { stream: true });
-                    const idx = buffer.lastIndexOf('\n\n');
-                    if (idx < 0) continue;
-
-                    const chunkText = buffer.slice(0, idx + 2);
-                    buffer = buffer.slice(idx + 2);
-
-                    for (const evt of parseSseLines(chunkText)) {
-                        const data = evt.data;
-                        if (data === '[DONE]') continue;
-
-                        let payload;
-                        try { payload = JSON.parse(data); } catch { continue; }
-
-                        const evtType = payload?.type;
-
-                        // ── 文本增量 ──
-                        if (evtType === 'response.output_text.delta' && typeof payload.delta === 'string') {
-                            const chunk = {
-                                id: chatId,
-                                object: 'chat.completion.chunk',
-                                created,
-                                model: model || 'unknown',
-                                choices: [{
-                                    index: 0,
-                                    delta: { content: payload.delta },
-                                    finish_reason: null,
-                                }],
-                            };
-                            controller.enqueue(encoder.encode(`data: ${JSON.stringify(chunk)}\n\n`));
-                            continue;
-                        }
+    function findItem(payload) {
+        if (payload.item_id != null && byItemId.has(payload.item_id)) return byItemId.get(payload.item_id);
+        if (payload.output_index != null && byOutputIndex.has(payload.output_index)) return byOutputIndex.get(payload.output_index);
+        if (payload.call_id != null && byCallId.has(payload.call_id)) return byCallId.get(payload.call_id);
+        return null;
+    }
 
-                        // ── 工具调用参数增量 ──
-                        if (evtType === 'response.function_call_arguments.delta') {
-                            const callId = payload.call_id ?? payload.id ?? '';
-                            const name = payload.name ?? '';
-                            const argsDelta = typeof payload.delta === 'string' ? payload.delta : '';
-
-                            if (callId) {
-                                let idx;
-                                if (toolCallIndexMap.has(callId)) {
-                                    idx = toolCallIndexMap.get(callId);
-                                } else {
-                                    idx = toolCallIdx++;
-                                    toolCallIndexMap.set(callId, idx);
-                                }
-
-                                const delta = {
-                                    tool_calls: [{
-                                        index: idx,
-                                        ...(name ? { id: callId, type: 'function', function: { name, arguments: argsDelta } } : { function: { arguments: argsDelta } }),
-                                    }],
-                                };
-
-                                const chunk = {
-                                    id: chatId,
-                                    object: 'chat.completion.chunk',
-                                    created,
-                                    model: model || 'unknown',
-                                    choices: [{
-                                        index: 0,
-                                        delta,
-                                        finish_reason: null,
-                                    }],
-                                };
-                                controller.enqueue(encoder.encode(`data: ${JSON.stringify(chunk)}\n\n`));
-                            }
-                            continue;
-                        }
+    function addItem(item, outputIndex) {
+        const entry = {
+            type: item.type || 'message',
+            id: item.id ?? null,
+            outputIndex: outputIndex ?? state.items.length,
+            item,
+        };
+        if (entry.type === 'message') {
+            entry.parts = [];
+        } else if (entry.type === 'function_call') {
+            entry.callId = item.call_id ?? null;
+            entry.name = item.name || '';
+            entry.arguments = typeof item.arguments === 'string' ? item.arguments : '';
+            entry.sent = 0;
+            entry.toolIndex = null;
+        } else if (entry.type === 'reasoning') {
+            entry.summary = [];
+            entry.reasoningText = [];
+        }
+        state.items.push(entry);
+        index(entry);
+        return entry;
+    }
 
-                        // ── 完成事件：发送 finish_reason ──
-                        if (evtType === 'response.completed') {
-                            const hasToolCalls = toolCallIndexMap.size > 0;
-                            const finishChunk = {
-                                id: chatId,
-                                object: 'chat.completion.chunk',
-                                created,
-                                model: model || 'unknown',
-                                choices: [{
-                                    index: 0,
-                                    delta: {},
-                                    finish_reason: hasToolCalls ? 'tool_calls' : 'stop',
-                                }],
-                            };
-
-                            // 如果响应中有 usage，附加上去
-                            if (payload.response && payload.response.usage) {
-                                finishChunk.usage = mapUsageFields(payload.response.usage);
-                            }
-
-                            controller.enqueue(encoder.encode(`data: ${JSON.stringify(finishChunk)}\n\n`));
-                            controller.enqueue(encoder.encode('data: [DONE]\n\n'));
-                            continue;
-                        }
+    // 兼容不发送 output_item.added 的上游：根据增量事件隐式创建输出项
+    function findOrAddItem(payload, type) {
+        const found = findItem(payload);
+        if (found) return found;
+        const item = { type, id: payload.item_id ?? null };
+        if (type === 'function_call') {
+            item.call_id = payload.call_id ?? null;
+            item.name = payload.name ?? '';
+        }
+        return addItem(item, payload.output_index);
+    }
 
-                        // ── 文本完成事件（降级）──
-                        if (evtType === 'response.output_text.done' && typeof payload.text === 'string') {
-                            // 已通过 delta 事件处理过了，一般不需要额外写入
-                            continue;
-                        }
-                    }
-                }
+    // 把工具调用尚未下发的参数整理为 delta；name 未知时暂缓，保证首个 chunk 带齐 id 与 name
+    function flushToolCall(entry) {
+        if (!entry.name) return null;
+        const pending = entry.arguments.slice(entry.sent);
+        entry.sent = entry.arguments.length;
+
+        if (entry.toolIndex == null) {
+            entry.toolIndex = state.toolCallCount++;
+            if (!entry.callId) entry.callId = entry.id || `call_${crypto.randomUUID().replace(/-/g, '')}`;
+            index(entry);
+            return {
+                tool_calls: [{
+                    index: entry.toolIndex,
+                    id: entry.callId,
+                    type: 'function',
+                    function: { name: entry.name, arguments: pending },
+                }],
+            };
+        }
+        if (!pending) return null;
+        return { tool_calls: [{ index: entry.toolIndex, function: { arguments: pending } }] };
+    }
 
-                // 如果流正常结束但没有收到 response.completed，手动发送 [DONE]
-                const finalChunk = {
-                    id: chatId,
-                    object: 'chat.completion.chunk',
-                    created,
-                    model: model || 'unknown',
-                    choices: [{
-                        index: 0,
-                        delta: {},
-                        finish_reason: toolCallIndexMap.size > 0 ? 'tool_calls' : 'stop',
-                    }],
-                };
-                controller.enqueue(encoder.encode(`data: ${JSON.stringify(finalChunk)}\n\n`));
-                controller.enqueue(encoder.encode('data: [DONE]\n\n'));
-            } catch (err) {
-                console.error('[Worker] SSE 转换出错:', err);
-            } finally {
-                reader.releaseLock();
-                controller.close();
-            }
-        },
-    });
-}
+    // 用 done 事件给出的完整参数校准已累积的增量
+    function syncToolArguments(entry, finalArgs) {
+        if (typeof finalArgs !== 'string') return;
+        if (finalArgs.length > entry.arguments.length && finalArgs.startsWith(entry.arguments)) {
+            entry.arguments = finalArgs;
+        }
+    }
 
-// ─────────────────────────────────────────────────────────────────────────────
-// 上游请求发送与多变体重试
-// ─────────────────────────────────────────────────────────────────────────────
+    function ensurePart(entry, contentIndex, type = 'output_text') {
+        const i = contentIndex ?? Math.max(entry.parts.length - 1, 0);
+        if (!entry.parts[i]) entry.parts[i] = { type, text: '' };
+        return entry.parts[i];
+    }
 
-/**
- * 向上游发送请求，支持多变体重试
- * 当上游返回 400/422 时，自动尝试下一个变体
- *
- * 参考 any-api: providers/openai.ts → selectUpstreamResponse()
- */
-async function sendWithRetry(upstreamUrl, headers, variants) {
-    let lastStatus = 502;
-    let lastError = null;
+    function appendText(entry, contentIndex, delta, logprobs) {
+        if (!delta) return null;
+        const part = ensurePart(entry, contentIndex);
+        part.text += delta;
+        if (!Array.isArray(logprobs)) return { content: delta };
+        part.logprobs = [...(part.logprobs || []), ...logprobs];
+        return { content: delta, [DELTA_LOGPROBS]: mapLogprobs(logprobs) };
+    }
 
-    for (let i = 0; i < variants.length; i++) {
-        const body = JSON.stringify(variants[i]);
+    // 拒答文本与普通文本分开存放在 refusal 类型的部件中，映射为 delta.refusal
+    function appendRefusal(entry, contentIndex, delta) {
+        if (!delta) return null;
+        const part = ensurePart(entry, contentIndex, 'refusal');
+        part.text += delta;
+        return { refusal: delta };
+    }
 
-        let resp;
-        try {
-            resp = await fetch(upstreamUrl, {
-                method: 'POST',
-                headers,
-                body,
-            });
-        } catch (err) {
-            return { ok: false, status: 502, error: `上游请求失败: ${err.message}` };
+    function syncRefusal(entry, contentIndex, finalText) {
+        if (typeof finalText !== 'string') return null;
+        const part = ensurePart(entry, contentIndex, 'refusal');
+        if (finalText.length <= part.text.length || !finalText.startsWith(part.text)) return null;
+        return appendRefusal(entry, contentIndex, finalText.slice(part.text.length));
+    }
+
+    // 该文本部件之前已输出的文本长度（跨所有 message 输出项），用于换算引用区间
+    function textOffset(entry, contentIndex) {
+        let offset = 0;
+        for (const e of state.items) {
+            if (e.type !== 'message') continue;
+            const parts = e === entry ? e.parts.slice(0, contentIndex ?? Math.max(e.parts.length - 1, 0)) : e.parts;
+            for (const p of parts) {
+                if (p && p.type === 'output_text') offset += p.text.length;
+            }
+            if (e === entry) break;
         }
+        return offset;
+    }
 
-        // 成功
-        if (resp.ok) return { ok: true, resp };
+    function addAnnotations(entry, contentIndex, annotations) {
+        const mapped = mapAnnotations(annotations, textOffset(entry, contentIndex));
+        if (!mapped.length) return null;
+        const part = ensurePart(entry, contentIndex);
+        part.annotations = [...(part.annotations || []), ...annotations];
+        return { annotations: mapped };
+    }
 
-        // 记录错误
-        lastStatus = resp.status;
-        lastError = await resp.text().catch(() => '');
+    // 用 done 事件给出的完整文本补发未通过增量收到的部分
+    function syncText(entry, contentIndex, finalText) {
+        if (typeof finalText !== 'string') return null;
+        const part = ensurePart(entry, contentIndex);
+        if (finalText.length <= part.text.length || !finalText.startsWith(part.text)) return null;
+        return appendText(entry, contentIndex, finalText.slice(part.text.length));
+    }
 
-        // 400/422 可能是格式不兼容，尝试下一个变体
-        if ((resp.status === 400 || resp.status === 422) && i + 1 < variants.length) {
-            console.log(`[Worker] 变体 ${i} 返回 ${resp.status}，尝试变体 ${i + 1}`);
-            continue;
+    // kind 为 'summary'（推理摘要）或 'reasoningText'（原始推理文本），各段之间以空行分隔
+    function appendReasoning(entry, kind, partIndex, delta) {
+        if (!delta) return null;
+        const parts = entry[kind];
+        const i = partIndex ?? Math.max(parts.length - 1, 0);
+        let prefix = '';
+        if (parts[i] == null) {
+            parts[i] = '';
+            if (state.reasoningEmitted) prefix = '\n\n';
         }
-
-        // 其他错误或最后一个变体，直接返回
-        break;
+        parts[i] += delta;
+        state.reasoningEmitted = true;
+        return { reasoning_content: prefix + delta };
     }
 
-    return { ok: false, status: lastStatus, error: lastError };
-}
+    function syncReasoning(entry, kind, partIndex, finalText) {
+        if (typeof finalText !== 'string') return null;
+        const current = entry[kind][partIndex ?? 0] ?? '';
+        if (finalText.length <= current.length || !finalText.startsWith(current)) return null;
+        return appendReasoning(entry, kind, partIndex ?? 0, finalText.slice(current.length));
+    }
 
-// ─────────────────────────────────────────────────────────────────────────────
-// 非流式模式下从 SSE 流中缓冲收集完整响应
-// ─────────────────────────────────────────────────────────────────────────────
+    // 输出项结束（或由终止事件回填）时，补齐缺失的文本与参数
+    function finishItem(entry, item) {
+        const deltas = [];
+        if (!item || typeof item !== 'object') return deltas;
+        const push = (d) => { if (d) deltas.push(d); };
+        entry.item = item;
+
+        if (entry.type === 'message' && Array.isArray(item.content)) {
+            item.content.forEach((c, i) => {
+                if (!c || typeof c !== 'object') return;
+                if (c.type === 'refusal') {
+                    push(syncRefusal(entry, i, c.refusal));
+                    return;
+                }
+                if (c.type !== 'output_text') return;
+                const part = ensurePart(entry, i, c.type);
+                if (!part.logprobs && Array.isArray(c.logprobs)) part.logprobs = c.logprobs;
+                push(syncText(entry, i, c.text));
+                // 没有通过 annotation.added 事件收到的引用在此补发
+                if (!part.annotations && Array.isArray(c.annotations) && c.annotations.length) {
+                    push(addAnnotations(entry, i, c.annotations));
+                }
+            });
+        } else if (entry.type === 'reasoning') {
+            const summary = Array.isArray(item.summary) ? item.summary : [];
+            summary.forEach((p, i) => {
+                if (p && typeof p === 'object') push(syncReasoning(entry, 'summary', i, p.text));
+            });
+            // 只有没有摘要时才补发原始推理文本，避免重复
+            if (!entry.summary.length && Array.isArray(item.content)) {
+                item.content.forEach((c, i) => {
+                    if (c && c.type === 'reasoning_text') push(syncReasoning(entry, 'reasoningText', i, c.text));
+                });
+            }
+        } else if (entry.type === 'function_call') {
+            if (!entry.callId && item.call_id) entry.callId = item.call_id;
+            if (!entry.name && item.name) entry.name = item.name;
+            syncToolArguments(entry, typeof item.arguments === 'string' ? item.arguments : JSON.stringify(item.arguments ?? {}));
+            push(flushToolCall(entry));
+        } else if (BUILTIN_TOOL_CALL_TYPES[entry.type]) {
+            // 内置工具调用完成后整体下发，客户端按 id 合并
+            push({ builtin_tool_calls: [mapBuiltinToolCall(item)] });
+        }
+        entry.done = true;
+        return deltas;
+    }
 
-/**
- * 某些供应商即使非流式请求也返回 SSE 流。
- * 此函数从 SSE 流中收集所有文本增量和工具调用，组装为完整的 Responses API JSON。
- *
- * 参考 any-api: providers/openai.ts → extractFromResponsesSseText()
- */
-async function collectSseToJson(response) {
-    const ct = (response.headers.get('content-type') || '').toLowerCase();
+    function captureResponse(response) {
+        if (!response || typeof response !== 'object') return;
+        state.id = response.id || state.id;
+        state.model = response.model || state.model;
+        state.createdAt = response.created_at || state.createdAt;
+        if (response.usage) state.usage = response.usage;
+    }
 
-    // 如果是标准 JSON 响应，直接解析
-    if (ct.includes('application/json')) {
-        return await response.json();
+    // 标记为失败终止（上游 error 事件、连接中断、空闲超时等）
+    function fail(error) {
+        if (state.finished && state.status !== 'failed') return;
+        state.response = { ...(state.response || {}), status: 'failed', error };
+        state.status = 'failed';
+        state.finished = true;
     }
 
-    // SSE 流响应，需要缓冲收集
-    const body = response.body;
-    if (!body) return null;
+    function handle(payload, eventName = '') {
+        const deltas = [];
+        if (!payload || typeof payload !== 'object') return deltas;
+        const push = (d) => { if (d) deltas.push(d); };
+
+        // 部分上游的错误帧只有 "event: error" 或顶层 error 对象，没有 type 字段
+        const type = payload.type || (eventName === 'error' || payload.error ? 'error' : eventName);
+
+        switch (type) {
+            case 'response.created':
+            case 'response.in_progress':
+                captureResponse(payload.response);
+                break;
+
+            case 'response.output_item.added': {
+                const item = payload.item && typeof payload.item === 'object' ? payload.item : {};
+                const entry = findItem({ item_id: item.id, output_index: payload.output_index }) || addItem(item, payload.output_index);
+                if (entry.type === 'function_call') {
+                    if (!entry.callId && item.call_id) entry.callId = item.call_id;
+                    if (!entry.name && item.name) entry.name = item.name;
+                    index(entry);
+                    push(flushToolCall(entry));
+                }
+                break;
+            }
 
-    const reader = body.getReader();
-    const decoder = new TextDecoder();
-    let raw = '';
+            case 'response.content_part.added': {
+                const entry = findOrAddItem(payload, 'message');
+                if (entry.type !== 'message') break;
+                const part = payload.part && typeof payload.part === 'object' ? payload.part : {};
+                ensurePart(entry, payload.content_index, part.type || 'output_text');
+                if (part.type === 'output_text' || part.type == null) push(syncText(entry, payload.content_index, part.text));
+                if (part.type === 'refusal') push(syncRefusal(entry, payload.content_index, part.refusal));
+                break;
+            }
 
-    while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        raw += decoder.decode(value, { stream: true });
-    }
+            case 'response.output_text.delta': {
+                if (typeof payload.delta !== 'string') break;
+                const entry = findOrAddItem(payload, 'message');
+                if (entry.type !== 'message') break;
+                push(appendText(entry, payload.content_index, payload.delta, payload.logprobs));
+                break;
+            }
 
-    // 尝试直接解析为 JSON（非 SSE 情况）
-    try {
-        return JSON.parse(raw);
-    } catch {
-        // 继续按 SSE 解析
-    }
+            case 'response.output_text.done': {
+                const entry = findOrAddItem(payload, 'message');
+                if (entry.type !== 'message') break;
+                push(syncText(entry, payload.content_index, payload.text));
+                break;
+            }
 
-    // 从 SSE 事件中提取内容
-    let text = '';
-    let responseId = null;
-    let model = null;
-    let createdAt = null;
-    let usage = null;
-    const toolCalls = [];
-    let sawDelta = false;
+            case 'response.content_part.done': {
+                const entry = findItem(payload);
+                if (!entry || entry.type !== 'message') break;
+                const part = payload.part && typeof payload.part === 'object' ? payload.part : {};
+                if (part.type === 'output_text') push(syncText(entry, payload.content_index, part.text));
+                if (part.type === 'refusal') push(syncRefusal(entry, payload.content_index, part.refusal));
+                break;
+            }
 
-    const lines = raw.split('\n');
-    for (const line of lines) {
-        if (!line.startsWith('data:')) continue;
-        const data = line.slice(5).trim();
-        if (!data || data === '[DONE]') continue;
+            case 'response.output_text.annotation.added': {
+                const entry = findOrAddItem(payload, 'message');
+                if (entry.type !== 'message' || !payload.annotation) break;
+                push(addAnnotations(entry, payload.content_index, [payload.annotation]));
+                break;
+            }
 
-        let payload;
-        try { payload = JSON.parse(data); } catch { continue; }
+            case 'response.refusal.delta': {
+                if (typeof payload.delta !== 'string') break;
+                const entry = findOrAddItem(payload, 'message');
+                if (entry.type !== 'message') break;
+                push(appendRefusal(entry, payload.content_index, payload.delta));
+                break;
+            }
 
-        const evt = payload?.type;
+            case 'response.refusal.done': {
+                const entry = findOrAddItem(payload, 'message');
+                if (entry.type !== 'message') break;
+                push(syncRefusal(entry, payload.content_index, payload.refusal));
+                break;
+            }
 
-        if (evt === 'response.created' && payload?.response) {
-            responseId = payload.response.id || responseId;
-            model = payload.response.model || model;
-            createdAt = payload.response.created_at || createdAt;
-            continue;
-        }
+            case 'response.reasoning_summary_text.delta':
+            case 'response.reasoning_text.delta': {
+                if (typeof payload.delta !== 'string') break;
+                const entry = findOrAddItem(payload, 'reasoning');
+                if (entry.type !== 'reasoning') break;
+                const summary = type === 'response.reasoning_summary_text.delta';
+                push(appendReasoning(entry, summary ? 'summary' : 'reasoningText', summary ? payload.summary_index : payload.content_index, payload.delta));
+                break;
+            }
 
-        if (evt === 'response.output_text.delta' && typeof payload.delta === 'string') {
-            sawDelta = true;
-            text += payload.delta;
-            continue;
-        }
+            case 'response.reasoning_summary_text.done':
+            case 'response.reasoning_text.done': {
+                const entry = findOrAddItem(payload, 'reasoning');
+                if (entry.type !== 'reasoning') break;
+                const summary = type === 'response.reasoning_summary_text.done';
+                push(syncReasoning(entry, summary ? 'summary' : 'reasoningText', summary ? payload.summary_index : payload.content_index, payload.text));
+                break;
+            }
 
-        if (!sawDelta && evt === 'response.output_text.done' && typeof payload.text === 'string') {
-            text += payload.text;
-            continue;
-        }
+            case 'response.function_call_arguments.delta': {
+                const entry = findOrAddItem(payload, 'function_call');
+                if (entry.type !== 'function_call') break;
+                if (!entry.name && payload.name) entry.name = payload.name;
+                if (!entry.callId && payload.call_id) { entry.callId = payload.call_id; index(entry); }
+                if (typeof payload.delta === 'string') entry.arguments += payload.delta;
+                push(flushToolCall(entry));
+                break;
+            }
 
-        if (evt === 'response.function_call_arguments.delta') {
-            const callId = payload.call_id ?? payload.id ?? '';
-            const name = payload.name ?? '';
-            const argDelta = typeof payload.delta === 'string' ? payload.delta : '';
-            if (callId) {
-                // 追加到已有的工具调用或创建新的
-                const existing = toolCalls.find((tc) => tc.call_id === callId);
-                if (existing) {
-                    existing.arguments += argDelta;
-                } else {
-                    toolCalls.push({ call_id: callId, name, arguments: argDelta });
-                }
+            case 'response.function_call_arguments.done': {
+                const entry = findOrAddItem(payload, 'function_call');
+                if (entry.type !== 'function_call') break;
+                if (!entry.name && payload.name) entry.name = payload.name;
+                syncToolArguments(entry, payload.arguments);
+                push(flushToolCall(entry));
+                break;
             }
-            continue;
-        }
 
-        if (evt === 'response.completed' && payload?.response) {
-            responseId = payload.response.id || responseId;
-            usage = payload.response.usage || usage;
+            case 'response.output_item.done': {
+                const item = payload.item && typeof payload.item === 'object' ? payload.item : {};
+                const entry = findItem({ item_id: item.id, output_index: payload.output_index }) || addItem(item, payload.output_index);
+                deltas.push(...finishItem(entry, item));
+                break;
+            }
+
+            case 'response.completed':
+            case 'response.incomplete':
+            case 'response.failed': {
+                const response = payload.response && typeof payload.response === 'object' ? payload.response : null;
+                captureResponse(response);
+                state.response = response;
+                state.status = (response && response.status) || type.slice('response.'.length);
+                state.finished = true;
+
+                // 部分上游只在终止事件中给出完整 output，此时按输出项回填
+                if (response && Array.isArray(response.output)) {
+                    response.output.forEach((item, i) => {
+                        if (!item || typeof item !== 'object') return;
+                        const entry = findItem({ item_id: item.id, output_index: i });
+                        if (entry && entry.done) return;
+                        deltas.push(...finishItem(entry || addItem(item, i), item));
+                    });
+                }
+
+                const blob = extractReasoningBlob({ output: state.items.map((e) => e.item) });
+                if (blob) deltas.push({ reasoning_encrypted_content: blob });
+                break;
+            }
 
-            // 如果没通过 delta 收到文本，从 completed 事件中提取
-            if (!text) {
-                text = extractTextContent(payload.response);
+            case 'error': {
+                const err = payload.error && typeof payload.error === 'object' ? payload.error : payload;
+                fail({
+                    message: err.message || '上游流返回错误',
+                    type: err.type && err.type !== 'error' ? err.type : undefined,
+                    code: err.code ?? null,
+                    param: err.param ?? null,
+                });
+                break;
             }
-            continue;
+
+            default:
+                break;
         }
+        return deltas;
     }
 
-    // 组装为类 Responses API 的 JSON 结构
-    const output = [];
-    if (text) {
-        output.push({
-            type: 'message',
-            role: 'assistant',
-            content: [{ type: 'output_text', text }],
-        });
-    }
-    for (const tc of toolCalls) {
-        output.push({
-            type: 'function_call',
-            call_id: tc.call_id,
-            name: tc.name,
-            arguments: tc.arguments,
-        });
+    // 把累积的状态组装为类 Responses API 的 JSON 结构
+    function toResponseJson() {
+        const output = [];
+        const entries = [...state.items].sort((a, b) => a.outputIndex - b.outputIndex);
+        for (const entry of entries) {
+            if (entry.type === 'message') {
+                const content = entry.parts
+                    .filter((p) => p && (p.type === 'output_text' || p.type === 'refusal') && p.text)
+                    .map((p) => (p.type === 'refusal' ? { type: 'refusal', refusal: p.text } : {
+                        type: 'output_text',
+                        text: p.text,
+                        ...(p.annotations ? { annotations: p.annotations } : {}),
+                        ...(p.logprobs ? { logprobs: p.logprobs } : {}),
+                    }));
+                if (content.length) output.push({ type: 'message', role: 'assistant', content });
+            } else if (entry.type === 'function_call') {
+                if (!entry.name) continue;
+                output.push({
+                    type: 'function_call',
+                    call_id: entry.callId || entry.id,
+                    name: entry.name,
+                    arguments: entry.arguments,
+                });
+            } else if (entry.type === 'reasoning') {
+                const item = { ...entry.item, type: 'reasoning' };
+                if (!entry.done) {
+                    item.summary = entry.summary.filter(Boolean).map((text) => ({ type: 'summary_text', text }));
+                    if (entry.reasoningText.length) {
+                        item.content = entry.reasoningText.filter(Boolean).map((text) => ({ type: 'reasoning_text', text }));
+                    }
+                }
+                output.push(item);
+            } else {
+                output.push(entry.item);
+            }
+        }
+
+        return {
+            ...(state.response || {}),
+            status: state.status || 'completed',
+            id: state.id || `resp_${Date.now().toString(36)}`,
+            object: 'response',
+            created_at: state.createdAt || Math.floor(Date.now() / 1000),
+            model: state.model || '',
+            output,
+            usage: state.usage || undefined,
+        };
     }
 
-    return {
-        id: responseId || `resp_${Date.now().toString(36)}`,
-        object: 'response',
-        created_at: createdAt || Math.floor(Date.now() / 1000),
-        model: model || '',
-        output,
-        usage: usage || undefined,
-    };
+    return { state, handle, fail, toResponseJson };
 }
 
-// ─────────────────────────────────────────────────────────────────────────────
-// Worker 入口
+/**
+ * 读取一次上游数据；超过 idleTimeoutMs 没有任何数据时取消上游并抛出超时错误
+ */
+async function readWithIdleTimeout(reader, idleTimeoutMs) {
+    if (!idleTimeoutMs) return reader.read();
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            const err = new Error(`上游超过 ${idleTimeoutMs}ms 没有返回数据`);
+            err.code = 'upstream_idle_timeout';
+            // 先 reject 再取消，避免 cancel 让挂起的 read() 以 done 抢先结束
+            reject(err);
+            reader.cancel(err).catch(() => {});
+        }, idleTimeoutMs);
+    });
+    try {
+        return await Promise.race([reader.read(), timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * 逐个产出上游 SSE 事件帧（{ event, data }）
+ */
+async function* readSseEvents(body, { idleTimeoutMs = 0 } = {}) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let finished = false;
+    try {
+        while (true) {
+            const { value, done } = await readWithIdleTimeout(reader, idleTimeoutMs);
+            if (done) {
+                finished = true;
+                break;
+            }
+
+            buffer += decoder.decode(value, { stream: true });
+            const idx = buffer.lastIndexOf('\n\n');
+            if (idx < 0) continue;
+
+            const chunkText = buffer.slice(0, idx + 2);
+            buffer = buffer.slice(idx + 2);
+            yield* parseSseLines(chunkText);
+        }
+        buffer += decoder.decode();
+        if (buffer.trim()) yield* parseSseLines(buffer);
+    } finally {
+        // 调用方在终止事件后提前结束（或读取出错）时取消上游响应体，不留下未读完的连接
+        if (!finished) reader.cancel().catch(() => {});
+        reader.releaseLock();
+    }
+}
+
+/**
+ * 映射为 504 timeout_error 的超时错误码：
+ *   upstream_idle_timeout — 流式读取时超过 STREAM_IDLE_TIMEOUT_MS 没有数据
+ *   upstream_timeout      — 整个上游请求超过 UPSTREAM_TIMEOUT_MS 仍未完成
+ *   first_token_timeout   — 超过 FIRST_TOKEN_TIMEOUT_MS 仍未收到第一段输出
+ */
+const TIMEOUT_ERROR_CODES = ['upstream_idle_timeout', 'upstream_timeout', 'first_token_timeout'];
+
+/**
+ * 把读取上游时抛出的异常整理为 error 对象
+ */
+function streamReadError(err) {
+    if (err && TIMEOUT_ERROR_CODES.includes(err.code)) {
+        return { message: err.message, type: 'timeout_error', code: err.code, param: null };
+    }
+    if (err && err.code === 'client_closed_request') {
+        return { message: err.message, type: 'invalid_request_error', code: err.code, param: null };
+    }
+    return {
+        message: `上游连接中断: ${(err && err.message) || err}`,
+        type: 'server_error',
+        code: 'upstream_stream_error',
+        param: null,
+    };
+}
+
+/**
+ * 上游流结束但没有收到任何终止事件时使用的 error 对象
+ */
+function incompleteStreamError() {
+    return {
+        message: '上游流在响应完成前结束',
+        type: 'server_error',
+        code: 'upstream_incomplete_stream',
+        param: null,
+    };
+}
+
+/**
+ * 交替产出多个异步迭代器的值（谁先就绪先产出），用于合并多路上游流
+ */
+async function* mergeAsyncIterators(iterators) {
+    const next = (i) => iterators[i].next().then((result) => ({ i, result }));
+    const pending = new Map(iterators.map((_, i) => [i, next(i)]));
+    try {
+        while (pending.size) {
+            const { i, result } = await Promise.race(pending.values());
+            if (result.done) {
+                pending.delete(i);
+                continue;
+            }
+            pending.set(i, next(i));
+            yield result.value;
+        }
+    } finally {
+        // 提前结束时关闭其余迭代器，释放上游读取锁
+        for (const i of pending.keys()) iterators[i].return?.().catch?.(() => {});
+    }
+}
+
+/**
+ * 把单路上游 Responses SSE 流转换为 Chat Completions 流事件：
+ *   { index, delta } / { index, finishReason, usage } / { index, error }
+ *
+ * 事件到 delta 的翻译由 createResponsesStreamState() 完成；response.incomplete 映射为
+ * length / content_filter，response.failed、上游 error 事件、连接中断、空闲超时以及
+ * 未收到终止事件就结束的流，都以 { error } 结束。
+ */
+async function* responseSseToChatEvents(upstreamBody, index, options = {}) {
+    const tracker = createResponsesStreamState();
+
+    try {
+        for await (const evt of readSseEvents(upstreamBody, options)) {
+            if (evt.data === '[DONE]') continue;
+
+            let payload;
+            try { payload = JSON.parse(evt.data); } catch { continue; }
+
+            for (const delta of tracker.handle(payload, evt.event)) yield { index, delta };
+            if (tracker.state.finished) break;
+        }
+        // 没有收到终止事件就结束的流不能当作成功
+        if (!tracker.state.finished) tracker.fail(incompleteStreamError());
+    } catch (err) {
+        console.error('[Worker] SSE 转换出错:', err);
+        tracker.fail(streamReadError(err));
+    }
+
+    const response = tracker.state.response || { status: tracker.state.status };
+    if (tracker.state.status === 'failed') {
+        yield { index, error: buildUpstreamError(response).body };
+        return;
+    }
+    yield {
+        index,
+        finishReason: mapFinishReason(response, tracker.state.toolCallCount > 0),
+        usage: tracker.state.usage,
+    };
+}
+
+/**
+ * 将上游 Responses API 的 SSE 流实时转换为 Chat Completions chunk 格式
+ *
+ * 参考 any-api: protocols/stream.ts 的事件解析逻辑
+ *
+ * upstreamBodies 为数组时（n > 1）每路对应一个 choice，各路 chunk 按到达顺序交错输出，
+ * 全部结束后才发送 [DONE]；任意一路失败即以 OpenAI 风格的错误 chunk 结束流，
+ * 不会再发送 finish_reason 与 [DONE]。
+ *
+ * options.idleTimeoutMs — 上游持续无数据的最长时间，超时后取消上游（0 表示不限制）
+ * options.includeUsage  — 对应 stream_options.include_usage：为 true 时普通 chunk 带 usage: null，
+ *                         [DONE] 之前追加一个 choices 为空、带 usage（多路时为合计）的 chunk；
+ *                         为 false 时不输出 usage
+ * options.logprobs      — 对应请求的 logprobs：为 true 时每个 choice 带 logprobs（文本 chunk 为该段的 token）
+ */
+function responseSseToChunkStream(upstreamBodies, model, options = {}) {
+    const bodies = Array.isArray(upstreamBodies) ? upstreamBodies : [upstreamBodies];
+    if (!bodies.length || bodies.some((b) => !b)) return null;
+
+    const encoder = new TextEncoder();
+    const chatId = 'chatcmpl-' + crypto.randomUUID();
+    const created = Math.floor(Date.now() / 1000);
+    const includeUsage = Boolean(options.includeUsage);
+
+    return new ReadableStream({
+        async start(controller) {
+            const write = (obj) => controller.enqueue(encoder.encode(`data: ${JSON.stringify(obj)}\n\n`));
+            const chunk = (choices, usage = null) => ({
+                id: chatId,
+                object: 'chat.completion.chunk',
+                created,
+                model: model || 'unknown',
+                choices,
+                ...(includeUsage ? { usage } : {}),
+            });
+            const send = (index, delta, finishReason = null) => {
+                const choice = { index, delta };
+                if (options.logprobs) {
+                    choice.logprobs = delta[DELTA_LOGPROBS] ? { content: delta[DELTA_LOGPROBS], refusal: null } : null;
+                }
+                choice.finish_reason = finishReason;
+                write(chunk([choice]));
+            };
+
+            const usages = [];
+            const iterators = bodies.map((body, i) => responseSseToChatEvents(body, i, options));
+            try {
+                for await (const evt of mergeAsyncIterators(iterators)) {
+                    // 上游失败：以 OpenAI 风格的错误 chunk 结束流，不再发送 finish_reason
+                    if (evt.error) {
+                        write(evt.error);
+                        return;
+                    }
+                    if (evt.delta) {
+                        send(evt.index, evt.delta);
+                        continue;
+                    }
+
+                    if (evt.usage) usages.push(mapUsageFields(evt.usage));
+                    send(evt.index, {}, evt.finishReason);
+                }
+                // 与 OpenAI 一致：usage 单独放在 [DONE] 之前的最后一个 chunk 中
+                if (includeUsage) write(chunk([], usages.length === 1 ? usages[0] : sumUsage(usages)));
+                controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+            } finally {
+                controller.close();
+            }
+        },
+    });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 上游请求发送与多变体重试
+// ─────────────────────────────────────────────────────────────────────────────
+
+const NO_RETRY = { retries: 0 };
+
+/**
+ * 读取退避重试配置；ROUTES 中的上游可以用 retries 单独指定次数
+ */
+function resolveRetryPolicy(env, upstream = {}) {
+    return {
+        retries: parseDuration(upstream.retries, parseDuration(env.UPSTREAM_RETRIES, 2)),
+        baseDelayMs: parseDuration(env.UPSTREAM_RETRY_BASE_MS, 500),
+        maxDelayMs: parseDuration(env.UPSTREAM_RETRY_MAX_DELAY_MS, 8000),
+        deadlineMs: parseDuration(env.UPSTREAM_RETRY_DEADLINE_MS, 30000),
+    };
+}
+
+/**
+ * 429 与 5xx（501 除外）视为暂时性错误，可以退避后重试
+ */
+function isRetryableStatus(status) {
+    return status === 429 || (status >= 500 && status !== 501);
+}
+
+/**
+ * 解析 OpenAI 风格的重置时间，例如 "850ms"、"1s"、"6m0s"、"1h2m3.5s"；无法解析时返回 null
+ */
+function parseResetDuration(value) {
+    const text = String(value || '').trim();
+    if (!/^(\d+(\.\d+)?(h|ms|m|s))+$/.test(text)) return null;
+
+    const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+    let ms = 0;
+    for (const [, num, , unit] of text.matchAll(/(\d+(\.\d+)?)(h|ms|m|s)/g)) ms += Number(num) * units[unit];
+    return ms;
+}
+
+/**
+ * 从上游响应头中读取建议的等待毫秒数：retry-after-ms、Retry-After（秒或 HTTP 日期），
+ * 以及剩余额度为 0 的 x-ratelimit-reset-requests / x-ratelimit-reset-tokens；都没有时返回 null
+ */
+function retryAfterFromHeaders(headers) {
+    const ms = Number(headers.get('retry-after-ms'));
+    if (headers.get('retry-after-ms') && Number.isFinite(ms) && ms >= 0) return ms;
+
+    const retryAfter = headers.get('retry-after');
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        if (Number.isFinite(seconds) && seconds >= 0) return seconds * 1000;
+        const date = Date.parse(retryAfter);
+        if (Number.isFinite(date)) return Math.max(0, date - Date.now());
+    }
+
+    const resets = [];
+    for (const kind of ['requests', 'tokens']) {
+        const reset = parseResetDuration(headers.get(`x-ratelimit-reset-${kind}`));
+        if (reset == null) continue;
+        resets.push({ reset, exhausted: headers.get(`x-ratelimit-remaining-${kind}`) === '0' });
+    }
+    if (!resets.length) return null;
+
+    // 优先等到已耗尽的那一项重置
+    const exhausted = resets.filter((r) => r.exhausted);
+    return exhausted.length
+        ? Math.max(...exhausted.map((r) => r.reset))
+        : Math.min(...resets.map((r) => r.reset));
+}
+
+/**
+ * 等待 ms 毫秒；signal 中止时提前返回
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve) => {
+        if (signal && signal.aborted) return resolve();
+        const done = () => {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', done);
+            resolve();
+        };
+        const timer = setTimeout(done, ms);
+        if (signal) signal.addEventListener('abort', done, { once: true });
+    });
+}
+
+/**
+ * 发送单个请求，遇到 429 / 5xx / 连接失败时按退避策略重试
+ *
+ * budget 在同一次 sendWithRetry() 的所有变体之间共享：重试次数与总时限只消耗一份，
+ * 因此变体切换与退避重试不会相乘。返回 { resp } 或 { error }（最后一次连接失败）。
+ */
+async function fetchWithBackoff(upstreamUrl, init, budget) {
+    for (;;) {
+        let resp = null;
+        let error = null;
+        try {
+            resp = await fetch(upstreamUrl, init);
+        } catch (err) {
+            error = err;
+        }
+        // 客户端断开或超时中止时不再重试
+        if (init.signal && init.signal.aborted) {
+            if (resp && resp.body) resp.body.cancel().catch(() => {});
+            return { error: init.signal.reason, aborted: true };
+        }
+        if (resp && !isRetryableStatus(resp.status)) return { resp };
+
+        const hint = resp ? retryAfterFromHeaders(resp.headers) : null;
+        const backoff = Math.random() * Math.min(budget.maxDelayMs, budget.baseDelayMs * 2 ** budget.attempt);
+        const delay = hint ?? backoff;
+        if (budget.attempt >= budget.retries || Date.now() + delay > budget.deadline) {
+            return resp ? { resp } : { error };
+        }
+
+        budget.attempt++;
+        console.log(`[Worker] 上游${resp ? `返回 ${resp.status}` : `连接失败（${error.message}）`}，${Math.round(delay)}ms 后第 ${budget.attempt} 次重试`);
+        if (resp && resp.body) await resp.body.cancel().catch(() => {});
+        await sleep(delay, init.signal);
+        if (init.signal && init.signal.aborted) return { error: init.signal.reason, aborted: true };
+    }
+}
+
+function variantLabel(variant) {
+    const shape = variant[VARIANT_SHAPE];
+    return shape && shape.length ? shape.join('+') : 'base';
+}
+
+/**
+ * 请求被中止时的失败结果：超时为 504 timeout_error，客户端断开为 499（客户端已收不到，仅用于日志）
+ */
+function abortedResult(reason) {
+    const code = (reason && reason.code) || 'client_closed_request';
+    const timeout = TIMEOUT_ERROR_CODES.includes(code);
+    return {
+        ok: false,
+        status: timeout ? 504 : 499,
+        aborted: true,
+        error: JSON.stringify({
+            error: {
+                message: (reason && reason.message) || '请求已中止',
+                type: timeout ? 'timeout_error' : 'invalid_request_error',
+                param: null,
+                code,
+            },
+        }),
+    };
+}
+
+/**
+ * 选择下一个要尝试的变体：错误文本指向某些调整时，只在当前变体上叠加这些调整，都尝试过后返回 null
+ * （多半是客户端自身的参数错误，不再遍历其余变体）；错误文本无法判断时按 variants 的顺序取第一个尚未尝试的变体
+ */
+function pickNextVariant(variants, current, errorText, tried) {
+    const adaptive = Array.isArray(current[VARIANT_SHAPE]) && variants.length > 1;
+    const hints = adaptive ? adaptationHints(errorText) : [];
+    if (hints.length) {
+        for (const name of hints) {
+            const candidate = applyVariantShape(variants[0], [...current[VARIANT_SHAPE], name]);
+            if (!tried.has(JSON.stringify(candidate))) return candidate;
+        }
+        return null;
+    }
+    return variants.find((v) => !tried.has(JSON.stringify(v))) || null;
+}
+
+/**
+ * 向上游发送请求，支持多变体重试
+ * 当上游返回 400/422 时，根据错误文本挑选下一个变体；429 / 5xx / 连接失败由 fetchWithBackoff() 退避重试
+ *
+ * options.retry          — 退避重试配置（见 resolveRetryPolicy()）
+ * options.preferredShape — 已学到的该上游可接受的调整组合，首次请求即按此格式发送
+ * options.signal         — 中止信号（客户端断开或超时）；中止后不再重试，返回 abortedResult()
+ *
+ * 成功时返回 { ok: true, resp, shape }，shape 为成功变体实际应用的调整。
+ *
+ * 参考 any-api: providers/openai.ts → selectUpstreamResponse()
+ */
+async function sendWithRetry(upstreamUrl, headers, variants, options = {}) {
+    let lastStatus = 502;
+    let lastError = null;
+    const retryPolicy = options.retry || NO_RETRY;
+    const budget = {
+        attempt: 0,
+        retries: 0,
+        baseDelayMs: 500,
+        maxDelayMs: 8000,
+        ...retryPolicy,
+        deadline: Date.now() + (retryPolicy.deadlineMs ?? 0),
+    };
+
+    const preferred = options.preferredShape;
+    let variant = preferred && preferred.length && variants.length > 1 && Array.isArray(variants[0][VARIANT_SHAPE])
+        ? applyVariantShape(variants[0], preferred)
+        : variants[0];
+    const tried = new Set();
+    // 已学到的格式可能不在 variants 中，多留一次尝试
+    const maxAttempts = variants.length + 1;
+
+    while (variant && tried.size < maxAttempts) {
+        const body = JSON.stringify(variant);
+        tried.add(body);
+
+        const { resp, error, aborted } = await fetchWithBackoff(upstreamUrl, {
+            method: 'POST',
+            headers,
+            body,
+            signal: options.signal,
+        }, budget);
+        if (aborted) return abortedResult(error);
+        if (!resp) {
+            return { ok: false, status: 502, error: `上游请求失败: ${error.message}`, networkError: true };
+        }
+
+        // 成功
+        if (resp.ok) return { ok: true, resp, shape: variant[VARIANT_SHAPE] || [] };
+
+        // 记录错误
+        lastStatus = resp.status;
+        lastError = await resp.text().catch(() => '');
+        if (options.signal && options.signal.aborted) return abortedResult(options.signal.reason);
+
+        // 400/422 可能是格式不兼容，尝试下一个变体
+        if (resp.status === 400 || resp.status === 422) {
+            const next = pickNextVariant(variants, variant, lastError, tried);
+            if (next) {
+                console.log(`[Worker] 变体 ${variantLabel(variant)} 返回 ${resp.status}，尝试变体 ${variantLabel(next)}`);
+                variant = next;
+                continue;
+            }
+        }
+
+        // 其他错误或没有可尝试的变体，直接返回
+        break;
+    }
+
+    return { ok: false, status: lastStatus, error: lastError };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 变体学习（记住每个上游可接受的请求格式）
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * 按「上游地址 | 模型」记录成功变体应用的调整组合，下次直接以该格式发送，省去 400 往返。
+ * 结果保存在 isolate 内存中；绑定 VARIANT_CACHE_KV 时同时写入 KV，供其他 isolate 读取。
+ */
+const learnedShapes = new Map();   // key → { shape, updatedAt, loadedAt }
+const LEARNED_SHAPE_KV_PREFIX = 'variant:';
+const LEARNED_SHAPE_REFRESH_MS = 10 * 60 * 1000;
+
+function learnedShapeKey(upstream, model) {
+    return `${upstream.url}|${model || ''}`;
+}
+
+async function loadLearnedShape(env, key) {
+    const cached = learnedShapes.get(key);
+    const kv = env.VARIANT_CACHE_KV;
+    if (cached && (!kv || Date.now() - cached.loadedAt < LEARNED_SHAPE_REFRESH_MS)) return cached.shape;
+    if (!kv) return [];
+
+    let entry = null;
+    try {
+        entry = await kv.get(LEARNED_SHAPE_KV_PREFIX + key, 'json');
+    } catch (err) {
+        console.error('[Worker] 读取 VARIANT_CACHE_KV 失败:', err);
+    }
+
+    const known = new Set(REQUEST_ADAPTATIONS.map((a) => a.name));
+    const shape = entry && Array.isArray(entry.shape)
+        ? entry.shape.filter((name) => known.has(name))
+        : (cached ? cached.shape : []);
+    learnedShapes.set(key, {
+        shape,
+        updatedAt: (entry && entry.updatedAt) || (cached && cached.updatedAt) || null,
+        origin: (entry && entry.origin) || (cached && cached.origin) || null,
+        loadedAt: Date.now(),
+    });
+    return shape;
+}
+
+/**
+ * 根据一次成功的请求更新学到的格式
+ *
+ * 本请求用不到的调整（例如请求里没有 reasoning）保留原有结论，其余以成功变体为准。
+ */
+function rememberShape(env, auth, key, base, previous, succeeded) {
+    const relevant = new Set(REQUEST_ADAPTATIONS.filter((a) => a.applies(base)).map((a) => a.name));
+    const merged = new Set([...previous.filter((name) => !relevant.has(name)), ...succeeded]);
+    const shape = REQUEST_ADAPTATIONS.map((a) => a.name).filter((name) => merged.has(name));
+    if (shape.join('+') === previous.join('+')) return;
+
+    saveLearnedShape(env, auth.ctx, key, shape, 'request');
+}
+
+/**
+ * 写入学到的格式；origin 标明来源（request：真实请求，probe：能力探测）
+ */
+function saveLearnedShape(env, ctx, key, shape, origin) {
+    const updatedAt = Math.floor(Date.now() / 1000);
+    learnedShapes.set(key, { shape, updatedAt, origin, loadedAt: Date.now() });
+    console.log(`[Worker] 学到 ${key} 的请求格式: ${shape.join('+') || 'base'}（${origin}）`);
+
+    if (!env.VARIANT_CACHE_KV) return;
+    const entry = { shape, updatedAt, origin };
+    const pending = env.VARIANT_CACHE_KV.put(LEARNED_SHAPE_KV_PREFIX + key, JSON.stringify(entry), { metadata: entry })
+        .catch((err) => console.error('[Worker] 写入 VARIANT_CACHE_KV 失败:', err));
+    if (ctx && typeof ctx.waitUntil === 'function') ctx.waitUntil(pending);
+}
+
+/**
+ * 列出学到的格式（内存与 KV 合并，KV 中的记录可能来自其他 isolate）
+ */
+async function listLearnedShapes(env) {
+    const entries = new Map();
+    for (const [key, entry] of learnedShapes) {
+        entries.set(key, { shape: entry.shape, updatedAt: entry.updatedAt, origin: entry.origin, source: 'memory' });
+    }
+
+    if (env.VARIANT_CACHE_KV) {
+        let cursor;
+        do {
+            const page = await env.VARIANT_CACHE_KV.list({ prefix: LEARNED_SHAPE_KV_PREFIX, cursor });
+            for (const k of page.keys) {
+                const key = k.name.slice(LEARNED_SHAPE_KV_PREFIX.length);
+                const meta = k.metadata || {};
+                const existing = entries.get(key);
+                if (!existing || (meta.updatedAt || 0) > (existing.updatedAt || 0)) {
+                    entries.set(key, { shape: meta.shape || [], updatedAt: meta.updatedAt || null, origin: meta.origin || null, source: 'kv' });
+                }
+            }
+            cursor = page.list_complete ? undefined : page.cursor;
+        } while (cursor);
+    }
+
+    return [...entries].map(([key, entry]) => {
+        const sep = key.lastIndexOf('|');
+        return {
+            upstream: key.slice(0, sep),
+            model: key.slice(sep + 1),
+            shape: entry.shape,
+            updated_at: entry.updatedAt,
+            origin: entry.origin || null,
+            source: entry.source,
+        };
+    });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 上游路由与故障转移
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * 路由表由 ROUTES 配置（JSON 字符串或对象），按顺序匹配模型名，首个匹配的规则生效：
+ *
+ *   [
+ *     {
+ *       "model": "gpt-4*",                       // 模型名或通配符（* / ?）
+ *       "upstreams": [                           // 按顺序故障转移
+ *         {
+ *           "name": "primary",                   // 出现在 X-Proxy-Upstream 响应头中
+ *           "url": "https://a.example/v1/responses",
+ *           "apiKey": "sk-...",                  // 或 "apiKeyEnv": "PROVIDER_A_KEY"；都不填则透传客户端 Authorization
+ *           "headers": { "X-Org": "..." },       // 额外请求头
+ *           "model": "gpt-4.1",                  // 可选：改写发往该上游的模型名
+ *           "variants": false,                   // 可选：关闭多变体重试，只发送基础格式
+ *           "retries": 2,                        // 可选：429 / 5xx / 连接失败时的退避重试次数，覆盖 UPSTREAM_RETRIES
+ *           "maxConcurrency": 20,                // 可选：并发上限，以及排队上限与排队超时（见「上游并发控制」一节）
+ *           "maxQueue": 100,
+ *           "queueTimeoutMs": 30000,
+ *           "modelsUrl": "https://a.example/v1/models"
+ *         }
+ *       ]
+ *     }
+ *   ]
+ *
+ * 没有匹配的规则（或未配置 ROUTES）时使用 TARGET_URL。
+ */
+let routesCache = { raw: undefined, routes: [] };
+
+function globToRegExp(glob) {
+    const escaped = String(glob).replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+}
+
+/**
+ * 解析并缓存 ROUTES 配置；配置非法时记录错误并视为未配置
+ */
+function loadRoutes(env) {
+    const raw = env.ROUTES;
+    if (raw === routesCache.raw) return routesCache.routes;
+
+    let routes = [];
+    try {
+        const parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+        routes = (Array.isArray(parsed) ? parsed : [])
+            .filter((r) => r && typeof r.model === 'string' && Array.isArray(r.upstreams))
+            .map((r) => ({
+                pattern: r.model,
+                regex: globToRegExp(r.model),
+                upstreams: r.upstreams
+                    .filter((u) => u && typeof u.url === 'string' && u.url)
+                    .map((u, i) => ({ ...u, name: u.name || `${r.model}#${i}` })),
+            }))
+            .filter((r) => r.upstreams.length);
+    } catch (err) {
+        console.error('[Worker] ROUTES 配置解析失败:', err);
+    }
+
+    routesCache = { raw, routes };
+    return routes;
+}
+
+function defaultUpstream(env) {
+    return { name: 'default', url: env.TARGET_URL || 'https://api.openai.com/v1/responses' };
+}
+
+/**
+ * 按模型名查找上游列表（按故障转移顺序）
+ */
+function resolveUpstreams(env, model) {
+    const route = loadRoutes(env).find((r) => r.regex.test(model || ''));
+    return route ? route.upstreams : [defaultUpstream(env)];
+}
+
+/**
+ * 上游配置了密钥时使用该密钥，否则透传客户端的 Authorization
+ */
+function upstreamAuthorization(upstream, env, clientAuth) {
+    const key = upstream.apiKey || (upstream.apiKeyEnv ? env[upstream.apiKeyEnv] : '');
+    return key ? `Bearer ${key}` : clientAuth || '';
+}
+
+/**
+ * 由 Responses API 地址推导 /v1/models 地址
+ */
+function modelsUrlFor(upstream) {
+    if (upstream.modelsUrl) return upstream.modelsUrl;
+    const base = upstream.url
+        .replace(/\/v1\/responses.*$/, '')  // 去掉 /v1/responses 及之后的部分
+        .replace(/\/responses.*$/, '');      // 兼容其他路径结尾
+    return `${base}/v1/models`;
+}
+
+/**
+ * 连接失败、5xx 与 429 切换到下一个上游，其余错误（如 400/401）直接返回给客户端
+ */
+function isFailoverResult(result) {
+    return Boolean(result.networkError) || result.status === 429 || result.status >= 500;
+}
+
+/**
+ * 按路由表把请求发往模型对应的上游，必要时按顺序故障转移
+ *
+ * 返回值在 sendWithRetry() 的基础上附带 upstream（实际处理请求的上游配置）；
+ * 客户端密钥无权使用该模型时直接返回 403，超出限流或配额时直接返回 429
+ *
+ * prepare 为通过限流检查后、发往上游前执行的准备工作（见 inlineImagesStep()），返回错误体时以 400 结束请求
+ */
+async function sendRouted(env, model, auth, variants, prepare = null) {
+    const denied = modelAccessError(auth, model);
+    if (denied) return { ok: false, status: 403, error: JSON.stringify(denied) };
+
+    const quota = await acquireQuota(auth);
+    if (!quota.ok) return quota;
+
+    const prepareError = prepare ? await prepare() : null;
+    if (prepareError) {
+        return { ok: false, status: 400, error: JSON.stringify(prepareError), rateLimitHeaders: quota.rateLimitHeaders };
+    }
+
+    const upstreams = resolveUpstreams(env, model);
+    const watchdog = createUpstreamWatchdog(env, auth);
+    let result = null;
+
+    for (let i = 0; i < upstreams.length; i++) {
+        const upstream = upstreams[i];
+        const headers = {
+            'Content-Type': 'application/json',
+            'Authorization': upstreamAuthorization(upstream, env, auth.authorization),
+            ...(upstream.headers || {}),
+        };
+        const upstreamVariants = (upstream.variants === false ? variants.slice(0, 1) : variants)
+            .map((v) => (upstream.model ? { ...v, model: upstream.model } : v));
+
+        // 并发已满时先排队等待空位；排队失败按 503 处理，可以切换到下一个上游
+        // 关闭多变体重试的上游不参与格式学习
+        const learnKey = upstream.variants === false ? null : learnedShapeKey(upstream, upstreamVariants[0].model);
+        const preferredShape = learnKey ? await loadLearnedShape(env, learnKey) : [];
+
+        const slot = await acquireUpstreamSlot(env, upstream, auth);
+        if (slot.ok) {
+            result = await sendWatched(upstream.url, headers, upstreamVariants, {
+                retry: resolveRetryPolicy(env, upstream),
+                preferredShape,
+            }, slot, watchdog);
+            if (result.ok && learnKey) rememberShape(env, auth, learnKey, upstreamVariants[0], preferredShape, result.shape);
+        } else {
+            result = slot;
+        }
+        result.upstream = upstream;
+        result.rateLimitHeaders = quota.rateLimitHeaders;
+        if (result.ok) result.resp = meterResponse(result.resp, auth);
+        // 超时或客户端断开后不再尝试其他上游
+        if (result.ok || result.aborted || !isFailoverResult(result) || i + 1 >= upstreams.length) break;
+
+        console.log(`[Worker] 上游 ${upstream.name} 返回 ${result.status}，切换到 ${upstreams[i + 1].name}`);
+    }
+    if (!result.ok) watchdog.done();
+    return result;
+}
+
+/**
+ * 并发发送多个相同的上游请求（n > 1）；任意一个失败时取消其余已成功的响应并返回该失败结果
+ */
+async function sendFanOut(env, model, auth, variants, n, prepare = null) {
+    const results = await Promise.all(Array.from({ length: n }, () => sendRouted(env, model, auth, variants, prepare)));
+    const failed = results.find((r) => !r.ok);
+    if (!failed) return { ok: true, resps: results.map((r) => r.resp), upstream: results[0].upstream, results };
+
+    for (const r of results) {
+        if (r.ok && r.resp.body) r.resp.body.cancel().catch(() => {});
+    }
+    return failed;
+}
+
+/**
+ * 生成代理附加的响应头：实际上游（X-Proxy-Upstream）与限流状态（x-ratelimit-*，多路时取最后一次的结果）
+ */
+function proxyHeaders(result) {
+    const results = result.results || [result];
+    const names = [...new Set(results.map((r) => r.upstream && r.upstream.name).filter(Boolean))];
+    const rateLimit = results.map((r) => r.rateLimitHeaders).filter(Boolean).pop();
+    return {
+        ...(names.length ? { 'X-Proxy-Upstream': names.join(', ') } : {}),
+        ...(rateLimit || {}),
+    };
+}
+
+/**
+ * GET /v1/models：未配置路由时透传 TARGET_URL 对应的模型列表；
+ * 配置路由时合并所有上游的模型列表，并补充路由表中的具体模型名
+ */
+async function handleModels(request, env, auth) {
+    const clientAuth = auth.authorization;
+    const routes = loadRoutes(env);
+
+    // 客户端密钥限制了模型时只列出允许的模型
+    if (!routes.length && auth.client && auth.client.models) {
+        const upstream = defaultUpstream(env);
+        let json;
+        try {
+            const resp = await fetch(modelsUrlFor(upstream), {
+                method: 'GET',
+                headers: { 'Authorization': clientAuth },
+            });
+            if (!resp.ok) return jsonResponse(parseErrorBody(await resp.text()), resp.status);
+            json = await resp.json();
+        } catch (err) {
+            return jsonResponse({ error: { message: `上游请求失败: ${err.message}` } }, 502);
+        }
+        const data = (Array.isArray(json.data) ? json.data : []).filter((m) => m && isModelAllowed(auth, m.id));
+        return jsonResponse({ ...json, data });
+    }
+
+    if (!routes.length) {
+        const upstream = defaultUpstream(env);
+        let resp;
+        try {
+            resp = await fetch(modelsUrlFor(upstream), {
+                method: 'GET',
+                headers: { 'Authorization': clientAuth },
+            });
+        } catch (err) {
+            return jsonResponse({ error: { message: `上游请求失败: ${err.message}` } }, 502);
+        }
+        return new Response(resp.body, {
+            status: resp.status,
+            headers: {
+                'Content-Type': resp.headers.get('Content-Type') || 'application/json',
+                'Access-Control-Allow-Origin': '*',
+            },
+        });
+    }
+
+    // 同一地址只请求一次
+    const upstreams = new Map();
+    for (const route of routes) {
+        for (const upstream of route.upstreams) {
+            const modelsUrl = modelsUrlFor(upstream);
+            if (!upstreams.has(modelsUrl)) upstreams.set(modelsUrl, upstream);
+        }
+    }
+
+    const lists = await Promise.all([...upstreams].map(async ([modelsUrl, upstream]) => {
+        try {
+            const resp = await fetch(modelsUrl, {
+                method: 'GET',
+                headers: { 'Authorization': upstreamAuthorization(upstream, env, clientAuth), ...(upstream.headers || {}) },
+            });
+            if (!resp.ok) return null;
+            const json = await resp.json();
+            return Array.isArray(json.data) ? json.data : [];
+        } catch (err) {
+            console.error(`[Worker] 获取上游 ${upstream.name} 模型列表失败:`, err);
+            return null;
+        }
+    }));
+
+    const models = new Map();
+    for (const list of lists) {
+        for (const m of list || []) {
+            if (m && m.id && !models.has(m.id)) models.set(m.id, m);
+        }
+    }
+    for (const route of routes) {
+        if (/[*?]/.test(route.pattern) || models.has(route.pattern)) continue;
+        models.set(route.pattern, { id: route.pattern, object: 'model', created: 0, owned_by: route.upstreams[0].name });
+    }
+    for (const id of models.keys()) {
+        if (!isModelAllowed(auth, id)) models.delete(id);
+    }
+
+    if (!models.size && lists.every((l) => l === null)) {
+        return jsonResponse({ error: { message: '所有上游的模型列表均获取失败', type: 'server_error' } }, 502);
+    }
+    return jsonResponse({ object: 'list', data: [...models.values()] });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 客户端密钥与访问控制
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * 代理签发的客户端密钥，来源为 CLIENT_KEYS（JSON 机密）或 CLIENT_KEYS_KV（KV 绑定，键为客户端密钥、值为配置 JSON）：
+ *
+ *   {
+ *     "sk-proxy-alice": {
+ *       "name": "alice",                      // 出现在日志中
+ *       "upstreamKey": "sk-...",              // 或 "upstreamKeyEnv": "PROVIDER_KEY"；都不填时使用 OPENAI_API_KEY
+ *       "models": ["gpt-4o*", "o3"],          // 可选：允许的模型（支持通配符），不填为不限制
+ *       "routes": ["/v1/chat/completions"],   // 可选：允许的路径（支持通配符），不填为不限制
+ *       "revoked": false                      // 设为 true（或从 KV 删除）即吊销
+ *     }
+ *   }
+ *
+ * 二者都未配置时不做校验，沿用透传客户端 Authorization 的行为。
+ */
+let clientKeysCache = { raw: undefined, entries: [] };
+
+function clientKeysEnabled(env) {
+    return Boolean(env.CLIENT_KEYS || env.CLIENT_KEYS_KV);
+}
+
+/**
+ * 解析 CLIENT_KEYS，返回 [{ digest, config }]；只保存密钥的 SHA-256 摘要，供常数时间比较
+ */
+async function loadClientKeys(env) {
+    const raw = env.CLIENT_KEYS;
+    if (raw === clientKeysCache.raw) return clientKeysCache.entries;
+
+    let keys = {};
+    try {
+        const parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) keys = parsed;
+    } catch (err) {
+        console.error('[Worker] CLIENT_KEYS 配置解析失败:', err);
+    }
+
+    const entries = await Promise.all(Object.entries(keys).map(async ([key, config]) => ({ digest: await sha256(key), config })));
+    clientKeysCache = { raw, entries };
+    return entries;
+}
+
+/**
+ * 查找客户端密钥对应的配置：先查 CLIENT_KEYS，再查 KV；未找到返回 null
+ */
+async function lookupClientKey(env, key) {
+    // 逐个比较所有密钥且不提前退出，避免通过响应耗时推测密钥
+    const digest = await sha256(key);
+    let found = null;
+    for (const entry of await loadClientKeys(env)) {
+        if (crypto.subtle.timingSafeEqual(entry.digest, digest) && !found) found = entry.config;
+    }
+    if (found) return found;
+
+    if (env.CLIENT_KEYS_KV) {
+        try {
+            return await env.CLIENT_KEYS_KV.get(key, 'json');
+        } catch (err) {
+            console.error('[Worker] 读取 CLIENT_KEYS_KV 失败:', err);
+        }
+    }
+    return null;
+}
+
+/**
+ * 从各协议惯用的位置取出客户端密钥：Authorization: Bearer、x-api-key、x-goog-api-key、?key=
+ */
+function extractClientKey(request, url) {
+    const authHeader = request.headers.get('Authorization') || '';
+    const bearer = authHeader.match(/^Bearer\s+(.+)$/i);
+    return (bearer ? bearer[1].trim() : '')
+        || request.headers.get('x-api-key')
+        || request.headers.get('x-goog-api-key')
+        || url.searchParams.get('key')
+        || '';
+}
+
+function authErrorResponse(message, status, code) {
+    return jsonResponse({ error: { message, type: 'invalid_request_error', param: null, code } }, status);
+}
+
+/**
+ * 校验客户端并确定发往上游的 Authorization
+ *
+ * 成功时返回 { ok: true, auth: { authorization, client, identity } }，client 为密钥配置（未启用客户端密钥时为 null），
+ * identity 为限流计数所用的客户端标识；
+ * 失败时返回 { ok: false, response }（OpenAI 风格的 401 / 403）
+ */
+async function authenticate(request, env, url, path) {
+    if (!clientKeysEnabled(env)) {
+        const key = extractClientKey(request, url);
+        const authorization = request.headers.get('Authorization')
+            || (key ? `Bearer ${key}` : '')
+            || (env.OPENAI_API_KEY ? `Bearer ${env.OPENAI_API_KEY}` : '');
+        return { ok: true, auth: { authorization, client: null, identity: authorization } };
+    }
+
+    const key = extractClientKey(request, url);
+    const client = key ? await lookupClientKey(env, key) : null;
+    if (!client || typeof client !== 'object' || client.revoked) {
+        return {
+            ok: false,
+            response: authErrorResponse(
+                key ? 'API 密钥无效或已吊销' : '未提供 API 密钥，请通过 Authorization: Bearer 头携带',
+                401,
+                'invalid_api_key',
+            ),
+        };
+    }
+
+    if (Array.isArray(client.routes) && !client.routes.some((r) => globToRegExp(r).test(path))) {
+        return { ok: false, response: authErrorResponse(`该 API 密钥无权访问 ${path}`, 403, 'route_not_allowed') };
+    }
+
+    const upstreamKey = client.upstreamKey
+        || (client.upstreamKeyEnv ? env[client.upstreamKeyEnv] : '')
+        || env.OPENAI_API_KEY
+        || '';
+    return {
+        ok: true,
+        auth: { authorization: upstreamKey ? `Bearer ${upstreamKey}` : '', client, identity: key },
+    };
+}
+
+function isModelAllowed(auth, model) {
+    const allowed = auth.client && auth.client.models;
+    if (!Array.isArray(allowed)) return true;
+    return allowed.some((m) => globToRegExp(m).test(model || ''));
+}
+
+/**
+ * 客户端密钥无权使用该模型时返回 OpenAI 风格的错误体，否则返回 null
+ */
+function modelAccessError(auth, model) {
+    if (isModelAllowed(auth, model)) return null;
+    return {
+        error: {
+            message: `该 API 密钥无权使用模型 ${model}`,
+            type: 'invalid_request_error',
+            param: 'model',
+            code: 'model_not_allowed',
+        },
+    };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 限流与 token 配额（Durable Object）
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * 每个客户端标识对应一个 RateLimiter 实例，记录最近一分钟的请求时间与当天（UTC）已用 token 数。
+ *
+ *   POST /acquire { rpm, tpd } → 未超限时登记一次请求；返回 { allowed, limited, retryAfterMs, ...状态 }
+ *   POST /charge  { tokens }   → 累加当天已用 token 数
+ *
+ * token 在响应结束后按上游实际返回的 usage 计入，因此最后一个请求可能略微超出 tpd。
+ */
+export class RateLimiter {
+    constructor(state) {
+        this.state = state;
+        this.loaded = null;
+    }
+
+    async load() {
+        if (!this.loaded) {
+            const stored = await this.state.storage.get(['requests', 'day', 'tokens']);
+            this.loaded = {
+                requests: stored.get('requests') || [],
+                day: stored.get('day') || '',
+                tokens: stored.get('tokens') || 0,
+            };
+        }
+        return this.loaded;
+    }
+
+    async fetch(request) {
+        const url = new URL(request.url);
+        const body = await request.json().catch(() => ({}));
+        const data = await this.load();
+        const now = Date.now();
+
+        // 滑动窗口：只保留最近一分钟的请求；跨天后清零 token 计数
+        data.requests = data.requests.filter((t) => t > now - 60000);
+        const today = new Date(now).toISOString().slice(0, 10);
+        if (data.day !== today) {
+            data.day = today;
+            data.tokens = 0;
+        }
+
+        if (url.pathname === '/charge') {
+            data.tokens += Math.max(0, Number(body.tokens) || 0);
+            await this.state.storage.put({ day: data.day, tokens: data.tokens });
+            return Response.json({ tokens: data.tokens });
+        }
+
+        const rpm = Number(body.rpm) || 0;
+        const tpd = Number(body.tpd) || 0;
+
+        let limited = null;
+        if (rpm && data.requests.length >= rpm) limited = 'requests';
+        else if (tpd && data.tokens >= tpd) limited = 'tokens';
+
+        if (!limited) {
+            data.requests.push(now);
+            await this.state.storage.put({ requests: data.requests, day: data.day, tokens: data.tokens });
+        }
+
+        // 最早一次请求滑出窗口的时间；UTC 零点重置 token 计数
+        const resetRequestsMs = data.requests.length ? data.requests[0] + 60000 - now : 0;
+        const resetTokensMs = Date.parse(`${today}T00:00:00Z`) + 86400000 - now;
+
+        return Response.json({
+            allowed: !limited,
+            limited,
+            retryAfterMs: limited === 'requests' ? resetRequestsMs : limited === 'tokens' ? resetTokensMs : 0,
+            rpm,
+            remainingRequests: Math.max(0, rpm - data.requests.length),
+            resetRequestsMs,
+            tpd,
+            remainingTokens: Math.max(0, tpd - data.tokens),
+            resetTokensMs,
+        });
+    }
+}
+
+/**
+ * 为已鉴权的请求绑定限流器；未绑定 RATE_LIMITER 或未配置任何上限时返回 null
+ */
+function createRateLimiter(env, auth, ctx) {
+    if (!env.RATE_LIMITER || !auth.identity) return null;
+
+    const client = auth.client || {};
+    const rpm = parseIntEnv(client.rpm, parseIntEnv(env.RATE_LIMIT_RPM, 0));
+    const tpd = parseIntEnv(client.tpd, parseIntEnv(env.RATE_LIMIT_TPD, 0));
+    if (!rpm && !tpd) return null;
+
+    const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(auth.identity));
+    const call = (path, payload) => stub.fetch(`https://rate-limiter${path}`, {
+        method: 'POST',
+        body: JSON.stringify(payload),
+    });
+
+    return {
+        rpm,
+        tpd,
+        async acquire() {
+            const resp = await call('/acquire', { rpm, tpd });
+            return resp.json();
+        },
+        charge(tokens) {
+            const pending = call('/charge', { tokens })
+                .then((resp) => resp.body && resp.body.cancel())
+                .catch((err) => console.error('[Worker] 记录 token 用量失败:', err));
+            if (ctx && typeof ctx.waitUntil === 'function') ctx.waitUntil(pending);
+        },
+    };
+}
+
+/**
+ * 按 OpenAI 的格式书写重置时间，例如 "850ms"、"12s"、"6m0s"、"3h20m5s"
+ */
+function formatResetDuration(ms) {
+    if (ms < 1000) return `${Math.max(0, Math.ceil(ms))}ms`;
+    const total = Math.ceil(ms / 1000);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const sec = total % 60;
+    if (h) return `${h}h${m}m${sec}s`;
+    if (m) return `${m}m${sec}s`;
+    return `${sec}s`;
+}
+
+function buildRateLimitHeaders(status) {
+    const headers = {};
+    if (status.rpm) {
+        headers['x-ratelimit-limit-requests'] = String(status.rpm);
+        headers['x-ratelimit-remaining-requests'] = String(status.remainingRequests);
+        headers['x-ratelimit-reset-requests'] = formatResetDuration(status.resetRequestsMs);
+    }
+    if (status.tpd) {
+        headers['x-ratelimit-limit-tokens'] = String(status.tpd);
+        headers['x-ratelimit-remaining-tokens'] = String(status.remainingTokens);
+        headers['x-ratelimit-reset-tokens'] = formatResetDuration(status.resetTokensMs);
+    }
+    return headers;
+}
+
+/**
+ * 发往上游之前检查限流与配额
+ *
+ * 返回 { ok: true, rateLimitHeaders } 或与 sendWithRetry() 失败结果同形的
+ * { ok: false, status: 429, error, rateLimitHeaders }；限流器不可用时放行
+ */
+async function acquireQuota(auth) {
+    if (!auth.limiter) return { ok: true, rateLimitHeaders: {} };
+
+    let status;
+    try {
+        status = await auth.limiter.acquire();
+    } catch (err) {
+        console.error('[Worker] 限流器不可用，本次请求不做限制:', err);
+        return { ok: true, rateLimitHeaders: {} };
+    }
+
+    const rateLimitHeaders = buildRateLimitHeaders(status);
+    if (status.allowed) return { ok: true, rateLimitHeaders };
+
+    const message = status.limited === 'requests'
+        ? `已达到每分钟 ${status.rpm} 次请求的上限，请在 ${formatResetDuration(status.retryAfterMs)} 后重试`
+        : `已达到每天 ${status.tpd} 个 token 的配额，将在 ${formatResetDuration(status.retryAfterMs)} 后重置`;
+    return {
+        ok: false,
+        status: 429,
+        error: JSON.stringify({
+            error: { message, type: status.limited, param: null, code: 'rate_limit_exceeded' },
+        }),
+        rateLimitHeaders: {
+            ...rateLimitHeaders,
+            'Retry-After': String(Math.max(1, Math.ceil(status.retryAfterMs / 1000))),
+        },
+    };
+}
+
+/**
+ * 包装上游响应体：原样转发数据，同时从中找出 usage（SSE 取最后一次出现的值，JSON 取顶层 usage），
+ * 经 mapUsageFields() 换算后计入该客户端当天的 token 用量。
+ *
+ * 解析到携带 usage 的终止事件（response.completed / incomplete / failed，或 Chat Completions 的 choices 为空的 usage chunk）时立即计费，
+ * 不依赖响应体被读到结尾：下游在终止事件后停止读取或客户端断开时同样会计入；其余情况在响应结束时计费。
+ */
+function meterResponse(resp, auth) {
+    if (!auth.limiter || !auth.limiter.tpd || !resp.body) return resp;
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let rawUsage = null;
+    let isSse = null;
+    let charged = false;
+
+    const charge = () => {
+        if (charged || !rawUsage) return;
+        charged = true;
+        const usage = mapUsageFields(rawUsage);
+        const tokens = usage.total_tokens || usage.prompt_tokens + usage.completion_tokens;
+        if (tokens) auth.limiter.charge(tokens);
+    };
+    const inspect = (line) => {
+        const text = line.startsWith('data:') ? line.slice(5).trim() : line;
+        if (!text.includes('"usage"')) return;
+        try {
+            const payload = JSON.parse(text);
+            const usage = (payload.response && payload.response.usage) || payload.usage;
+            if (!usage) return;
+            rawUsage = usage;
+            const terminal = /^response\.(completed|incomplete|failed)$/.test(payload.type || '')
+                || (Array.isArray(payload.choices) && payload.choices.length === 0);
+            if (terminal) charge();
+        } catch {
+            // 非 JSON 行忽略
+        }
+    };
+
+    const body = resp.body.pipeThrough(new TransformStream({
+        transform(chunk, controller) {
+            buffer += decoder.decode(chunk, { stream: true });
+            if (isSse === null && buffer.trim()) isSse = !buffer.trimStart().startsWith('{');
+            if (isSse) {
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+                for (const line of lines) inspect(line.trim());
+            }
+            controller.enqueue(chunk);
+        },
+        flush() {
+            buffer += decoder.decode();
+            if (buffer.trim()) inspect(buffer.trim());
+            charge();
+        },
+    }));
+
+    return new Response(body, { status: resp.status, statusText: resp.statusText, headers: resp.headers });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 上游并发控制（Durable Object）
+// ─────────────────────────────────────────────────────────────────────────────
+
+// 单个并发名额的最长持有时间，防止连接异常中断时名额无法归还
+const UPSTREAM_LEASE_TTL_MS = 15 * 60 * 1000;
+
+/**
+ * 每个上游地址对应一个 UpstreamGate 实例，在内存中维护正在进行的请求（租约）与等待队列：
+ *
+ *   POST /acquire { max, maxQueue, timeoutMs } → 有空位时立即返回 { ok: true, lease }；
+ *                                               否则排队，直到有名额归还或超时（{ ok: false, reason }）
+ *   POST /release { lease }                    → 归还名额并唤醒队首的请求
+ *
+ * 实例被回收时计数随之清零，只会放宽限制，不会卡死请求。
+ */
+export class UpstreamGate {
+    constructor(state) {
+        this.state = state;
+        this.leases = new Map();   // lease → 过期时间
+        this.queue = [];           // { max, resolve, timer }
+        this.sweepTimer = null;
+    }
+
+    async fetch(request) {
+        const url = new URL(request.url);
+        const body = await request.json().catch(() => ({}));
+        this.sweep();
+
+        if (url.pathname === '/release') {
+            this.leases.delete(body.lease);
+            this.drain();
+            return Response.json({ ok: true });
+        }
+
+        const max = Math.max(1, Number(body.max) || 1);
+        if (!this.queue.length && this.leases.size < max) {
+            return Response.json({ ok: true, lease: this.grant() });
+        }
+        if (this.queue.length >= Math.max(0, Number(body.maxQueue) || 0)) {
+            return Response.json({ ok: false, reason: 'queue_full', inFlight: this.leases.size, queued: this.queue.length });
+        }
+
+        return new Promise((resolve) => {
+            const waiter = { max, resolve };
+            waiter.timer = setTimeout(() => {
+                this.queue = this.queue.filter((w) => w !== waiter);
+                this.scheduleSweep();
+                resolve(Response.json({ ok: false, reason: 'timeout', inFlight: this.leases.size, queued: this.queue.length }));
+            }, Math.max(0, Number(body.timeoutMs) || 0));
+            this.queue.push(waiter);
+            this.scheduleSweep();
+        });
+    }
+
+    grant() {
+        const lease = crypto.randomUUID();
+        this.leases.set(lease, Date.now() + UPSTREAM_LEASE_TTL_MS);
+        return lease;
+    }
+
+    drain() {
+        while (this.queue.length && this.leases.size < this.queue[0].max) {
+            const waiter = this.queue.shift();
+            clearTimeout(waiter.timer);
+            waiter.resolve(Response.json({ ok: true, lease: this.grant() }));
+        }
+        this.scheduleSweep();
+    }
+
+    sweep() {
+        const now = Date.now();
+        for (const [lease, expiresAt] of this.leases) {
+            if (expiresAt <= now) this.leases.delete(lease);
+        }
+    }
+
+    // 有请求在排队时，在最早的租约过期时清理并唤醒队列；队列清空后取消
+    scheduleSweep() {
+        if (!this.queue.length || !this.leases.size) {
+            clearTimeout(this.sweepTimer);
+            this.sweepTimer = null;
+            return;
+        }
+        if (this.sweepTimer) return;
+        const next = Math.min(...this.leases.values());
+        this.sweepTimer = setTimeout(() => {
+            this.sweepTimer = null;
+            this.sweep();
+            this.drain();
+        }, Math.max(0, next - Date.now()));
+    }
+}
+
+function busyUpstreamError(upstream, reason) {
+    const message = reason === 'queue_full'
+        ? `上游 ${upstream.name} 并发已满且等待队列已满，请稍后重试`
+        : `上游 ${upstream.name} 并发已满，排队等待超时，请稍后重试`;
+    return {
+        ok: false,
+        status: 503,
+        error: JSON.stringify({ error: { message, type: 'server_error', param: null, code: 'upstream_busy' } }),
+    };
+}
+
+/**
+ * 获取上游的一个并发名额；返回 { ok: true, release } 或与 sendWithRetry() 失败结果同形的 503
+ *
+ * 未绑定 UPSTREAM_GATE 或未配置并发上限时直接放行；并发控制不可用时同样放行。
+ */
+async function acquireUpstreamSlot(env, upstream, auth) {
+    const noop = { ok: true, release: () => {} };
+    const max = parseIntEnv(upstream.maxConcurrency, parseIntEnv(env.UPSTREAM_MAX_CONCURRENCY, 0));
+    if (!env.UPSTREAM_GATE || !max) return noop;
+
+    const maxQueue = upstream.maxQueue ?? parseDuration(env.UPSTREAM_MAX_QUEUE, 100);
+    const timeoutMs = upstream.queueTimeoutMs ?? parseDuration(env.UPSTREAM_QUEUE_TIMEOUT_MS, 30000);
+    const stub = env.UPSTREAM_GATE.get(env.UPSTREAM_GATE.idFromName(upstream.url));
+
+    let status;
+    try {
+        const resp = await stub.fetch('https://upstream-gate/acquire', {
+            method: 'POST',
+            body: JSON.stringify({ max, maxQueue, timeoutMs }),
+        });
+        status = await resp.json();
+    } catch (err) {
+        console.error('[Worker] 并发控制不可用，本次请求不做限制:', err);
+        return noop;
+    }
+
+    if (!status.ok) {
+        console.log(`[Worker] 上游 ${upstream.name} 并发已满（进行中 ${status.inFlight}，排队 ${status.queued}）: ${status.reason}`);
+        return busyUpstreamError(upstream, status.reason);
+    }
+
+    let released = false;
+    return {
+        ok: true,
+        release() {
+            if (released) return;
+            released = true;
+            const pending = stub.fetch('https://upstream-gate/release', {
+                method: 'POST',
+                body: JSON.stringify({ lease: status.lease }),
+            })
+                .then((resp) => resp.body && resp.body.cancel())
+                .catch((err) => console.error('[Worker] 归还并发名额失败:', err));
+            if (auth.ctx && typeof auth.ctx.waitUntil === 'function') auth.ctx.waitUntil(pending);
+        },
+    };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 客户端断开与上游超时
+// ─────────────────────────────────────────────────────────────────────────────
+
+// 上游开始生成前发送的 Responses 事件，不算作首段输出
+const PRE_OUTPUT_EVENT_TYPES = new Set(['response.created', 'response.in_progress']);
+
+/**
+ * SSE 行是否为携带输出的 data 事件（注释行、event: 行与开始前的状态事件除外）
+ */
+function isOutputSseLine(line) {
+    if (!line.startsWith('data:')) return false;
+    const data = line.slice(5).trim();
+    if (!data) return false;
+    try {
+        const payload = JSON.parse(data);
+        return !(payload && PRE_OUTPUT_EVENT_TYPES.has(payload.type));
+    } catch {
+        return true;
+    }
+}
+
+/**
+ * 为一次上游请求创建中止控制：
+ *   - 客户端断开（auth.signal 中止）时中止上游 fetch 与响应体读取，不再占用上游与并发名额
+ *   - UPSTREAM_TIMEOUT_MS：整个请求（含重试与读完响应体）的总时限
+ *   - FIRST_TOKEN_TIMEOUT_MS：收到第一段输出（SSE 中第一个不属于 response.created / response.in_progress 的
+ *     data 事件；非流式响应为第一块数据）的时限
+ *
+ * 中止原因是带 code 的 Error（upstream_timeout / first_token_timeout / client_closed_request），
+ * 由 abortedResult() 与 streamReadError() 转换为 OpenAI 风格的错误。
+ * 请求结束后必须调用 done() 清理计时器。
+ */
+function createUpstreamWatchdog(env, auth) {
+    const totalMs = parseDuration(env.UPSTREAM_TIMEOUT_MS, 0);
+    const firstTokenMs = parseDuration(env.FIRST_TOKEN_TIMEOUT_MS, 0);
+    const controller = new AbortController();
+    const clientSignal = auth && auth.signal;
+    let reason = null;
+    let totalTimer = null;
+    let firstTokenTimer = null;
+    const decoder = new TextDecoder();
+    let pendingLine = '';
+
+    const clear = () => {
+        clearTimeout(totalTimer);
+        clearTimeout(firstTokenTimer);
+        firstTokenTimer = null;
+        if (clientSignal) clientSignal.removeEventListener('abort', onClientAbort);
+    };
+    const abort = (code, message) => {
+        if (reason) return;
+        reason = new Error(message);
+        reason.code = code;
+        clear();
+        controller.abort(reason);
+    };
+    function onClientAbort() {
+        abort('client_closed_request', '客户端已断开连接');
+    }
+
+    if (totalMs) {
+        totalTimer = setTimeout(() => abort('upstream_timeout', `上游超过 ${totalMs}ms 仍未完成响应`), totalMs);
+    }
+    if (firstTokenMs) {
+        firstTokenTimer = setTimeout(() => abort('first_token_timeout', `上游超过 ${firstTokenMs}ms 仍未返回第一段输出`), firstTokenMs);
+    }
+    if (clientSignal) {
+        if (clientSignal.aborted) onClientAbort();
+        else clientSignal.addEventListener('abort', onClientAbort, { once: true });
+    }
+
+    return {
+        signal: controller.signal,
+        reason: () => reason,
+        /** 收到一块响应体数据；sse 为 false 时任何数据都算作首段输出 */
+        received(value, sse) {
+            if (!firstTokenTimer) return;
+            let hasOutput = !sse;
+            if (sse) {
+                const lines = (pendingLine + (typeof value === 'string' ? value : decoder.decode(value, { stream: true }))).split(/\r?\n/);
+                pendingLine = lines.pop();
+                hasOutput = lines.some(isOutputSseLine);
+            }
+            if (hasOutput) {
+                clearTimeout(firstTokenTimer);
+                firstTokenTimer = null;
+                pendingLine = '';
+            }
+        },
+        done: clear,
+    };
+}
+
+/**
+ * 包装响应体：每块数据调用 onChunk(value)，读完、出错或被取消时调用一次 onDone()；
+ * 读取出错时若提供 mapError(err)，以其返回值作为下游看到的错误（如把 AbortError 换成超时原因）
+ */
+function trackBody(resp, { onChunk, onDone, mapError } = {}) {
+    let finished = false;
+    const finish = () => {
+        if (finished) return;
+        finished = true;
+        if (onDone) onDone();
+    };
+    if (!resp.body) {
+        finish();
+        return resp;
+    }
+
+    const reader = resp.body.getReader();
+    const body = new ReadableStream({
+        async pull(controller) {
+            try {
+                const { done, value } = await reader.read();
+                if (done) {
+                    finish();
+                    controller.close();
+                } else {
+                    if (onChunk) onChunk(value);
+                    controller.enqueue(value);
+                }
+            } catch (err) {
+                finish();
+                controller.error((mapError && mapError(err)) || err);
+            }
+        },
+        cancel(reason) {
+            finish();
+            return reader.cancel(reason);
+        },
+    });
+
+    return new Response(body, { status: resp.status, statusText: resp.statusText, headers: resp.headers });
+}
+
+/**
+ * 发送上游请求并把响应体与并发名额、中止控制绑定：
+ * 成功时响应体读完（或出错、被取消）后释放名额并清理计时器；
+ * 失败时立即释放名额，计时器由调用方在不再故障转移时清理
+ */
+async function sendWatched(upstreamUrl, headers, variants, options, slot, watchdog) {
+    const result = await sendWithRetry(upstreamUrl, headers, variants, { ...options, signal: watchdog.signal });
+    if (!result.ok) {
+        slot.release();
+        return result;
+    }
+    const sse = (result.resp.headers.get('Content-Type') || '').includes('text/event-stream');
+    result.resp = trackBody(result.resp, {
+        onChunk: (value) => watchdog.received(value, sse),
+        onDone: () => {
+            slot.release();
+            watchdog.done();
+        },
+        mapError: () => watchdog.reason(),
+    });
+    return result;
+}
+
+/**
+ * 下行流的公共选项：上游空闲超时、SSE 保活间隔，以及客户端断开时中止上游请求
+ */
+function resolveStreamOptions(env, auth) {
+    return {
+        idleTimeoutMs: parseDuration(env.STREAM_IDLE_TIMEOUT_MS, 300000),
+        keepaliveMs: parseDuration(env.SSE_KEEPALIVE_MS, 15000),
+        onCancel: auth && auth.abort,
+    };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 非流式模式下从 SSE 流中缓冲收集完整响应
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * 某些供应商即使非流式请求也返回 SSE 流。
+ * 此函数从 SSE 流中收集所有文本增量和工具调用，组装为完整的 Responses API JSON。
+ * 上游 error 事件、连接中断、空闲超时或缺少终止事件时，返回 status=failed 的结果。
+ *
+ * 参考 any-api: providers/openai.ts → extractFromResponsesSseText()
+ */
+async function collectSseToJson(response, options = {}) {
+    const ct = (response.headers.get('content-type') || '').toLowerCase();
+
+    // 如果是标准 JSON 响应，直接解析
+    if (ct.includes('application/json')) {
+        return await response.json();
+    }
+
+    // SSE 流响应，需要缓冲收集
+    const body = response.body;
+    if (!body) return null;
+
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let raw = '';
+    let readError = null;
+
+    try {
+        while (true) {
+            const { done, value } = await readWithIdleTimeout(reader, options.idleTimeoutMs);
+            if (done) break;
+            raw += decoder.decode(value, { stream: true });
+        }
+    } catch (err) {
+        console.error('[Worker] 读取上游响应出错:', err);
+        readError = err;
+    } finally {
+        reader.releaseLock();
+    }
+
+    // 尝试直接解析为 JSON（非 SSE 情况）
+    if (!readError) {
+        try {
+            return JSON.parse(raw);
+        } catch {
+            // 继续按 SSE 解析
+        }
+    }
+
+    // 从 SSE 事件中提取内容（与流式路径共用同一状态机）
+    const tracker = createResponsesStreamState();
+    for (const evt of parseSseLines(raw)) {
+        if (!evt.data || evt.data === '[DONE]') continue;
+
+        let payload;
+        try { payload = JSON.parse(evt.data); } catch { continue; }
+        tracker.handle(payload, evt.event);
+    }
+
+    if (readError) tracker.fail(streamReadError(readError));
+    else if (!tracker.state.finished) tracker.fail(incompleteStreamError());
+
+    return tracker.toResponseJson();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 反向转换（Responses API 入站 → Chat Completions 上游）
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * 将 Responses API 的 content 部件转换为 Chat Completions 的多模态 content：
+ *   "input_text" / "output_text" → "text"
+ *   "input_image"                → "image_url"
+ *   "input_audio"                → "input_audio"
+ *   "input_file"                 → "file"
+ */
+function convertResponsesPartsToChatContent(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return normalizeMessageContent(content);
+
+    const out = [];
+    for (const part of content) {
+        if (part == null) continue;
+        if (typeof part === 'string') {
+            out.push({ type: 'text', text: part });
+            continue;
+        }
+        if (typeof part !== 'object') continue;
+
+        const t = part.type;
+        if (t === 'input_text' || t === 'output_text' || t === 'text') {
+            if (typeof part.text === 'string') out.push({ type: 'text', text: part.text });
+        } else if (t === 'input_image') {
+            const url = typeof part.image_url === 'string' ? part.image_url : part.image_url && part.image_url.url;
+            if (!url) continue;
+            const imageUrl = { url };
+            if (part.detail) imageUrl.detail = part.detail;
+            out.push({ type: 'image_url', image_url: imageUrl });
+        } else if (t === 'input_audio') {
+            if (part.input_audio && part.input_audio.data) out.push({ type: 'input_audio', input_audio: part.input_audio });
+        } else if (t === 'input_file') {
+            const file = {};
+            if (part.file_id) file.file_id = part.file_id;
+            if (part.file_data) file.file_data = part.file_data;
+            if (part.filename) file.filename = part.filename;
+            if (Object.keys(file).length) out.push({ type: 'file', file });
+        } else if (t === 'refusal' && typeof part.refusal === 'string') {
+            out.push({ type: 'text', text: part.refusal });
+        }
+    }
+
+    // 纯文本时合并为字符串，兼容只接受字符串 content 的上游
+    if (out.every((p) => p.type === 'text')) return out.map((p) => p.text).join('');
+    return out;
+}
+
+/**
+ * 将 Responses API 的 instructions + input 转换为 Chat Completions 的 messages 数组
+ *
+ * 与 chatMessagesToResponsesInput() 互为逆过程：
+ *   instructions / developer / system → system 消息
+ *   function_call                     → 合并到 assistant 消息的 tool_calls
+ *   function_call_output              → tool 消息
+ *   reasoning / item_reference 等      → 丢弃（Chat Completions 无对应结构）
+ */
+function responsesInputToChatMessages(input, instructions) {
+    const messages = [];
+    if (typeof instructions === 'string' && instructions.trim()) {
+        messages.push({ role: 'system', content: instructions });
+    }
+
+    if (typeof input === 'string') {
+        if (input) messages.push({ role: 'user', content: input });
+        return messages;
+    }
+
+    // 连续的 function_call 需要归入同一条 assistant 消息
+    const lastAssistant = () => {
+        const last = messages[messages.length - 1];
+        return last && last.role === 'assistant' ? last : null;
+    };
+
+    for (const item of Array.isArray(input) ? input : []) {
+        if (!item || typeof item !== 'object') continue;
+        const type = item.type || (item.role ? 'message' : '');
+
+        if (type === 'message') {
+            const role = item.role || 'user';
+            if (role === 'system' || role === 'developer') {
+                const text = normalizeMessageContent(item.content);
+                if (text.trim()) messages.push({ role: 'system', content: text });
+            } else if (role === 'assistant') {
+                const text = normalizeMessageContent(item.content);
+                const prev = lastAssistant();
+                if (prev && !prev.tool_calls && typeof prev.content === 'string') {
+                    prev.content += text;
+                } else {
+                    messages.push({ role: 'assistant', content: text });
+                }
+            } else {
+                const content = convertResponsesPartsToChatContent(item.content);
+                if ((typeof content === 'string' && content) || (Array.isArray(content) && content.length)) {
+                    messages.push({ role: 'user', content });
+                }
+            }
+            continue;
+        }
+
+        if (type === 'function_call') {
+            const callId = item.call_id || item.id;
+            if (!callId || !item.name) continue;
+            let msg = lastAssistant();
+            if (!msg) {
+                msg = { role: 'assistant', content: null };
+                messages.push(msg);
+            }
+            if (!msg.tool_calls) msg.tool_calls = [];
+            msg.tool_calls.push({
+                id: callId,
+                type: 'function',
+                function: {
+                    name: item.name,
+                    arguments: typeof item.arguments === 'string' ? item.arguments : JSON.stringify(item.arguments ?? {}),
+                },
+            });
+            continue;
+        }
+
+        if (type === 'function_call_output') {
+            if (!item.call_id) continue;
+            const output = typeof item.output === 'string' ? item.output : convertResponsesPartsToChatContent(item.output);
+            messages.push({ role: 'tool', tool_call_id: item.call_id, content: output ?? '' });
+            continue;
+        }
+    }
+
+    return messages;
+}
+
+/**
+ * 将完整的 Responses API 请求体转换为 Chat Completions 请求体
+ */
+function buildChatCompletionsRequest(responsesBody) {
+    const chatReq = {
+        model: responsesBody.model || '',
+        messages: responsesInputToChatMessages(responsesBody.input, responsesBody.instructions),
+        stream: Boolean(responsesBody.stream),
+    };
+    if (chatReq.stream) chatReq.stream_options = { include_usage: true };
+
+    // tools：平铺结构 → { type: "function", function: {...} }；内置工具 Chat Completions 无法执行，直接丢弃
+    if (Array.isArray(responsesBody.tools)) {
+        const tools = [];
+        for (const tool of responsesBody.tools) {
+            if (!tool || tool.type !== 'function' || !tool.name) continue;
+            const fn = { name: tool.name };
+            if (tool.description) fn.description = tool.description;
+            if (tool.parameters) fn.parameters = tool.parameters;
+            if (typeof tool.strict === 'boolean') fn.strict = tool.strict;
+            tools.push({ type: 'function', function: fn });
+        }
+        if (tools.length) chatReq.tools = tools;
+    }
+
+    // tool_choice：{ type: "function", name } → { type: "function", function: { name } }
+    const toolChoice = responsesBody.tool_choice;
+    if (typeof toolChoice === 'string') {
+        chatReq.tool_choice = toolChoice;
+    } else if (toolChoice && typeof toolChoice === 'object' && toolChoice.type === 'function' && toolChoice.name) {
+        chatReq.tool_choice = { type: 'function', function: { name: toolChoice.name } };
+    }
+    if (typeof responsesBody.parallel_tool_calls === 'boolean' && chatReq.tools) {
+        chatReq.parallel_tool_calls = responsesBody.parallel_tool_calls;
+    }
+
+    // max_output_tokens → max_tokens
+    if (responsesBody.max_output_tokens != null) chatReq.max_tokens = responsesBody.max_output_tokens;
+
+    if (responsesBody.temperature != null) chatReq.temperature = responsesBody.temperature;
+    if (responsesBody.top_p != null) chatReq.top_p = responsesBody.top_p;
+    if (responsesBody.user != null) chatReq.user = responsesBody.user;
+
+    // reasoning.effort → reasoning_effort
+    const reasoning = responsesBody.reasoning;
+    if (reasoning && typeof reasoning === 'object' && reasoning.effort) chatReq.reasoning_effort = reasoning.effort;
+
+    // text.format → response_format
+    const format = responsesBody.text && typeof responsesBody.text === 'object' ? responsesBody.text.format : null;
+    if (format && typeof format === 'object') {
+        if (format.type === 'json_schema') {
+            const { type, ...jsonSchema } = format;
+            chatReq.response_format = { type: 'json_schema', json_schema: jsonSchema };
+        } else if (format.type === 'json_object') {
+            chatReq.response_format = { type: 'json_object' };
+        }
+    }
+
+    return chatReq;
+}
+
+/**
+ * 将 Chat Completions 的 usage 映射为 Responses API 规范（mapUsageFields 的逆过程）
+ */
+function mapUsageToResponses(rawUsage) {
+    if (!rawUsage || typeof rawUsage !== 'object') return null;
+    const input = rawUsage.prompt_tokens ?? rawUsage.input_tokens ?? 0;
+    const output = rawUsage.completion_tokens ?? rawUsage.output_tokens ?? 0;
+    return {
+        input_tokens: input,
+        input_tokens_details: { cached_tokens: rawUsage.prompt_tokens_details?.cached_tokens ?? 0 },
+        output_tokens: output,
+        output_tokens_details: { reasoning_tokens: rawUsage.completion_tokens_details?.reasoning_tokens ?? 0 },
+        total_tokens: rawUsage.total_tokens ?? input + output,
+    };
+}
+
+/**
+ * 根据 Chat Completions 的 finish_reason 推断 Responses API 的 status / incomplete_details（mapFinishReason 的逆过程）
+ */
+function mapFinishReasonToStatus(finishReason) {
+    if (finishReason === 'length') return { status: 'incomplete', incomplete_details: { reason: 'max_output_tokens' } };
+    if (finishReason === 'content_filter') return { status: 'incomplete', incomplete_details: { reason: 'content_filter' } };
+    return { status: 'completed', incomplete_details: null };
+}
+
+/**
+ * 生成 Responses API 风格的对象 ID（resp_ / msg_ / fc_ / rs_ 前缀）
+ */
+function responsesId(prefix) {
+    return `${prefix}_${crypto.randomUUID().replace(/-/g, '')}`;
+}
+
+/**
+ * 构造 Responses API 响应对象的公共骨架，回显请求中的主要参数
+ */
+function responsesObjectSkeleton(responsesBody, id, createdAt) {
+    return {
+        id,
+        object: 'response',
+        created_at: createdAt,
+        status: 'in_progress',
+        error: null,
+        incomplete_details: null,
+        instructions: responsesBody.instructions ?? null,
+        max_output_tokens: responsesBody.max_output_tokens ?? null,
+        model: responsesBody.model || '',
+        output: [],
+        parallel_tool_calls: responsesBody.parallel_tool_calls ?? true,
+        previous_response_id: null,
+        reasoning: responsesBody.reasoning ?? null,
+        store: false,
+        temperature: responsesBody.temperature ?? null,
+        text: responsesBody.text ?? { format: { type: 'text' } },
+        tool_choice: responsesBody.tool_choice ?? 'auto',
+        tools: Array.isArray(responsesBody.tools) ? responsesBody.tools : [],
+        top_p: responsesBody.top_p ?? null,
+        usage: null,
+        metadata: responsesBody.metadata ?? {},
+    };
+}
+
+/**
+ * 将 Chat Completions 的完整响应 JSON 转换为 Responses API 响应对象（buildChatCompletionsResponse 的逆过程）
+ */
+function buildResponsesObjectFromChat(chatJson, responsesBody) {
+    const response = responsesObjectSkeleton(
+        responsesBody,
+        responsesId('resp'),
+        chatJson.created ?? Math.floor(Date.now() / 1000),
+    );
+    if (chatJson.model) response.model = chatJson.model;
+
+    const choice = Array.isArray(chatJson.choices) ? chatJson.choices[0] : null;
+    const message = choice && choice.message && typeof choice.message === 'object' ? choice.message : {};
+
+    if (typeof message.reasoning_content === 'string' && message.reasoning_content) {
+        response.output.push({
+            id: responsesId('rs'),
+            type: 'reasoning',
+            summary: [{ type: 'summary_text', text: message.reasoning_content }],
+        });
+    }
+
+    const text = normalizeMessageContent(message.content);
+    const content = [];
+    if (text) {
+        const annotations = (Array.isArray(message.annotations) ? message.annotations : [])
+            .filter((a) => a && a.type === 'url_citation' && a.url_citation)
+            .map((a) => ({ type: 'url_citation', ...a.url_citation }));
+        content.push({ type: 'output_text', text, annotations });
+    }
+    if (typeof message.refusal === 'string' && message.refusal) {
+        content.push({ type: 'refusal', refusal: message.refusal });
+    }
+    if (content.length) {
+        response.output.push({
+            id: responsesId('msg'),
+            type: 'message',
+            status: 'completed',
+            role: 'assistant',
+            content,
+        });
+    }
+
+    for (const tc of normalizeToolCalls(message)) {
+        response.output.push({
+            id: responsesId('fc'),
+            type: 'function_call',
+            status: 'completed',
+            call_id: tc.call_id,
+            name: tc.name,
+            arguments: tc.arguments,
+        });
+    }
+
+    Object.assign(response, mapFinishReasonToStatus(choice && choice.finish_reason));
+    response.output_text = text;
+    response.usage = mapUsageToResponses(chatJson.usage);
+    return response;
+}
+
+/**
+ * 将上游 Chat Completions 的 chunk 流转换为 Responses API 的 SSE 事件流
+ *
+ * 事件顺序遵循 Responses API：
+ *   response.created → response.in_progress
+ *   → output_item.added → content_part.added → output_text.delta … → output_text.done → content_part.done → output_item.done
+ *   → （工具调用）output_item.added → function_call_arguments.delta … → function_call_arguments.done → output_item.done
+ *   → response.completed / response.incomplete / response.failed
+ *
+ * reasoning_content 增量映射为 reasoning 输出项的 reasoning_summary_text.delta。
+ * 上游错误、连接中断或未收到 finish_reason 就结束时，以 response.failed 结束。
+ */
+function chatChunkStreamToResponsesSse(upstreamBody, responsesBody, options = {}) {
+    if (!upstreamBody) return null;
+
+    const encoder = new TextEncoder();
+    const response = responsesObjectSkeleton(responsesBody, responsesId('resp'), Math.floor(Date.now() / 1000));
+    let sequence = 0;
+
+    return new ReadableStream({
+        async start(controller) {
+            const emit = (type, data) => {
+                const payload = { type, sequence_number: sequence++, ...data };
+                controller.enqueue(encoder.encode(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`));
+            };
+
+            // 当前打开的 reasoning / message 输出项；工具调用按 Chat 的 tool_calls[].index 记录
+            let reasoningItem = null;
+            let messageItem = null;
+            const toolItems = new Map();
+            let finishReason = null;
+            let usage = null;
+            let error = null;
+
+            const openItem = (item) => {
+                const outputIndex = response.output.length;
+                response.output.push(item);
+                emit('response.output_item.added', { output_index: outputIndex, item: { ...item } });
+                return outputIndex;
+            };
+
+            const closeReasoning = () => {
+                if (!reasoningItem) return;
+                const { item, outputIndex } = reasoningItem;
+                const part = item.summary[0];
+                emit('response.reasoning_summary_text.done', { item_id: item.id, output_index: outputIndex, summary_index: 0, text: part.text });
+                emit('response.reasoning_summary_part.done', { item_id: item.id, output_index: outputIndex, summary_index: 0, part: { ...part } });
+                emit('response.output_item.done', { output_index: outputIndex, item });
+                reasoningItem = null;
+            };
+
+            const closeMessage = () => {
+                if (!messageItem) return;
+                const { item, outputIndex } = messageItem;
+                const part = item.content[0];
+                item.status = 'completed';
+                emit('response.output_text.done', { item_id: item.id, output_index: outputIndex, content_index: 0, text: part.text });
+                emit('response.content_part.done', { item_id: item.id, output_index: outputIndex, content_index: 0, part: { ...part } });
+                emit('response.output_item.done', { output_index: outputIndex, item });
+                messageItem = null;
+            };
+
+            const closeTools = () => {
+                for (const { item, outputIndex } of toolItems.values()) {
+                    item.status = 'completed';
+                    emit('response.function_call_arguments.done', { item_id: item.id, output_index: outputIndex, arguments: item.arguments });
+                    emit('response.output_item.done', { output_index: outputIndex, item });
+                }
+                toolItems.clear();
+            };
+
+            const handleDelta = (delta) => {
+                if (typeof delta.reasoning_content === 'string' && delta.reasoning_content) {
+                    closeMessage();
+                    if (!reasoningItem) {
+                        const item = { id: responsesId('rs'), type: 'reasoning', summary: [] };
+                        const outputIndex = openItem(item);
+                        item.summary.push({ type: 'summary_text', text: '' });
+                        emit('response.reasoning_summary_part.added', { item_id: item.id, output_index: outputIndex, summary_index: 0, part: { type: 'summary_text', text: '' } });
+                        reasoningItem = { item, outputIndex };
+                    }
+                    reasoningItem.item.summary[0].text += delta.reasoning_content;
+                    emit('response.reasoning_summary_text.delta', {
+                        item_id: reasoningItem.item.id,
+                        output_index: reasoningItem.outputIndex,
+                        summary_index: 0,
+                        delta: delta.reasoning_content,
+                    });
+                }
+
+                if (typeof delta.content === 'string' && delta.content) {
+                    closeReasoning();
+                    if (!messageItem) {
+                        const item = { id: responsesId('msg'), type: 'message', status: 'in_progress', role: 'assistant', content: [] };
+                        const outputIndex = openItem(item);
+                        const part = { type: 'output_text', text: '', annotations: [] };
+                        item.content.push(part);
+                        emit('response.content_part.added', { item_id: item.id, output_index: outputIndex, content_index: 0, part: { ...part } });
+                        messageItem = { item, outputIndex };
+                    }
+                    messageItem.item.content[0].text += delta.content;
+                    emit('response.output_text.delta', {
+                        item_id: messageItem.item.id,
+                        output_index: messageItem.outputIndex,
+                        content_index: 0,
+                        delta: delta.content,
+                    });
+                }
+
+                for (const tc of Array.isArray(delta.tool_calls) ? delta.tool_calls : []) {
+                    if (!tc || typeof tc !== 'object') continue;
+                    const key = tc.index ?? toolItems.size;
+                    const fn = tc.function && typeof tc.function === 'object' ? tc.function : {};
+                    let entry = toolItems.get(key);
+                    if (!entry) {
+                        closeReasoning();
+                        closeMessage();
+                        const item = {
+                            id: responsesId('fc'),
+                            type: 'function_call',
+                            status: 'in_progress',
+                            call_id: tc.id || responsesId('call'),
+                            name: fn.name || '',
+                            arguments: '',
+                        };
+                        entry = { item, outputIndex: openItem(item) };
+                        toolItems.set(key, entry);
+                    }
+                    const argsDelta = typeof fn.arguments === 'string' ? fn.arguments : '';
+                    if (argsDelta) {
+                        entry.item.arguments += argsDelta;
+                        emit('response.function_call_arguments.delta', { item_id: entry.item.id, output_index: entry.outputIndex, delta: argsDelta });
+                    }
+                }
+            };
+
+            emit('response.created', { response: { ...response, output: [] } });
+            emit('response.in_progress', { response: { ...response, output: [] } });
+
+            let sawDone = false;
+            try {
+                for await (const evt of readSseEvents(upstreamBody, options)) {
+                    if (evt.data === '[DONE]') { sawDone = true; break; }
+
+                    let payload;
+                    try { payload = JSON.parse(evt.data); } catch { continue; }
+                    if (!payload || typeof payload !== 'object') continue;
+
+                    if (payload.error) {
+                        error = payload.error;
+                        break;
+                    }
+                    if (payload.usage) usage = payload.usage;
+
+                    const choice = Array.isArray(payload.choices) ? payload.choices[0] : null;
+                    if (!choice) continue;
+                    if (choice.delta && typeof choice.delta === 'object') handleDelta(choice.delta);
+                    if (choice.finish_reason) finishReason = choice.finish_reason;
+                }
+                if (!error && !sawDone && !finishReason) error = incompleteStreamError();
+            } catch (err) {
+                console.error('[Worker] Chat SSE 转换出错:', err);
+                error = streamReadError(err);
+            }
+
+            try {
+                closeReasoning();
+                closeMessage();
+                closeTools();
+
+                response.usage = mapUsageToResponses(usage);
+                if (error) {
+                    response.status = 'failed';
+                    response.error = {
+                        code: error.code ?? 'server_error',
+                        message: error.message || '上游流返回错误',
+                    };
+                    emit('response.failed', { response });
+                } else {
+                    Object.assign(response, mapFinishReasonToStatus(finishReason));
+                    emit(response.status === 'incomplete' ? 'response.incomplete' : 'response.completed', { response });
+                }
+            } finally {
+                controller.close();
+            }
+        },
+    });
+}
+
+/**
+ * /v1/responses 的反向转换模式（RESPONSES_MODE=chat）：
+ * 把 Responses API 请求转换为 Chat Completions 发给 CHAT_TARGET_URL，再把结果转换回 Responses API。
+ */
+async function handleResponsesViaChat(request, env, auth) {
+    const responsesBody = await request.json();
+
+    // 上游无状态，无法引用之前的响应
+    if (responsesBody.previous_response_id) {
+        return jsonResponse({
+            error: {
+                message: '当前模式不支持 previous_response_id，请在 input 中携带完整的对话历史',
+                type: 'invalid_request_error',
+                param: 'previous_response_id',
+                code: 'unsupported_parameter',
+            },
+        }, 400);
+    }
+
+    const denied = modelAccessError(auth, responsesBody.model);
+    if (denied) return jsonResponse(denied, 403);
+
+    const chatReq = buildChatCompletionsRequest(responsesBody);
+    const upstreamUrl = env.CHAT_TARGET_URL
+        || (env.TARGET_URL || 'https://api.openai.com/v1/responses').replace(/\/responses(\?.*)?$/, '/chat/completions');
+    const headers = {
+        'Content-Type': 'application/json',
+        'Authorization': auth.authorization,
+    };
+
+    const quota = await acquireQuota(auth);
+    if (!quota.ok) return jsonResponse(parseErrorBody(quota.error), quota.status, quota.rateLimitHeaders);
+
+    const slot = await acquireUpstreamSlot(env, { name: 'chat', url: upstreamUrl }, auth);
+    const extraHeaders = quota.rateLimitHeaders || {};
+    if (!slot.ok) return jsonResponse(parseErrorBody(slot.error), slot.status, extraHeaders);
+
+    const watchdog = createUpstreamWatchdog(env, auth);
+    const result = await sendWatched(upstreamUrl, headers, [chatReq], { retry: resolveRetryPolicy(env) }, slot, watchdog);
+    if (!result.ok) {
+        watchdog.done();
+        return jsonResponse(parseErrorBody(result.error), result.status, extraHeaders);
+    }
+    result.resp = meterResponse(result.resp, auth);
+
+    const streamOptions = resolveStreamOptions(env, auth);
+
+    if (chatReq.stream) {
+        return sseResponse(chatChunkStreamToResponsesSse(result.resp.body, responsesBody, streamOptions), extraHeaders, streamOptions);
+    }
+
+    let chatJson;
+    try {
+        chatJson = await result.resp.json();
+    } catch {
+        return jsonResponse({ error: { message: '上游返回了无法解析的响应', type: 'server_error' } }, 502, extraHeaders);
+    }
+    if (chatJson && chatJson.error) {
+        return jsonResponse({ error: chatJson.error }, 502, extraHeaders);
+    }
+    return jsonResponse(buildResponsesObjectFromChat(chatJson || {}, responsesBody), 200, extraHeaders);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Anthropic Messages API 入站（/v1/messages → Responses API）
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * 将 Anthropic 的 image / document 来源转换为 URL（base64 来源转为 data URL）
+ */
+function anthropicSourceToUrl(source) {
+    if (!source || typeof source !== 'object') return '';
+    if (source.type === 'url' && typeof source.url === 'string') return source.url;
+    if (source.type === 'base64' && typeof source.data === 'string') {
+        return `data:${source.media_type || 'application/octet-stream'};base64,${source.data}`;
+    }
+    return '';
+}
+
+/**
+ * 将 Anthropic 的 content 块数组转换为 Chat Completions 的多模态 content 部件
+ */
+function anthropicBlocksToChatParts(blocks) {
+    if (typeof blocks === 'string') return [{ type: 'text', text: blocks }];
+    const out = [];
+    for (const block of Array.isArray(blocks) ? blocks : []) {
+        if (!block || typeof block !== 'object') continue;
+        if (block.type === 'text' && typeof block.text === 'string') {
+            out.push({ type: 'text', text: block.text });
+        } else if (block.type === 'image') {
+            const url = anthropicSourceToUrl(block.source);
+            if (url) out.push({ type: 'image_url', image_url: { url } });
+        } else if (block.type === 'document') {
+            const source = block.source || {};
+            if (source.type === 'text' && typeof source.data === 'string') {
+                out.push({ type: 'text', text: source.data });
+            } else if (source.type === 'file' && source.file_id) {
+                out.push({ type: 'file', file: { file_id: source.file_id } });
+            } else {
+                const url = anthropicSourceToUrl(source);
+                if (url) out.push({ type: 'file', file: { file_data: url, filename: block.title || 'document.pdf' } });
+            }
+        }
+    }
+    return out;
+}
+
+// anthropicToChatRequest() 会转换的 Messages 请求字段
+const HANDLED_ANTHROPIC_PARAMS = new Set([
+    'model', 'messages', 'system', 'stream', 'max_tokens', 'temperature', 'top_p',
+    'tools', 'tool_choice', 'thinking', 'metadata',
+]);
+
+/**
+ * 找出 Messages 请求中无法转换的字段（如 stop_sequences、top_k），以及无法转换的服务端工具 tools[i]
+ */
+function findUnsupportedAnthropicParams(body) {
+    const unsupported = findUnknownParams(body, HANDLED_ANTHROPIC_PARAMS, {
+        stop_sequences: (v) => Array.isArray(v) && v.length === 0,
+    });
+    (Array.isArray(body.tools) ? body.tools : []).forEach((t, i) => {
+        if (t && t.type != null && t.type !== 'custom') unsupported.push(`tools[${i}]`);
+    });
+    return unsupported;
+}
+
+/**
+ * 将 Anthropic Messages 请求体转换为 Chat Completions 请求体，
+ * 再交给 buildResponsesApiRequest() 生成 Responses API 请求，复用已有的转换逻辑。
+ *
+ *   system                     → system 消息
+ *   text / image / document 块 → content 部件
+ *   tool_use 块                → assistant tool_calls
+ *   tool_result 块             → tool 消息
+ *   thinking 块的 signature    → reasoning_encrypted_content（加密推理内容往返）
+ *   redacted_thinking 块       → 同上
+ *   thinking.budget_tokens     → reasoning_effort + reasoning_summary
+ *   metadata.user_id           → user
+ */
+function anthropicToChatRequest(body) {
+    const messages = [];
+
+    const system = Array.isArray(body.system) ? anthropicBlocksToChatParts(body.system) : body.system;
+    const systemText = normalizeMessageContent(system);
+    if (systemText.trim()) messages.push({ role: 'system', content: systemText });
+
+    for (const msg of Array.isArray(body.messages) ? body.messages : []) {
+        if (!msg || typeof msg !== 'object') continue;
+        const blocks = typeof msg.content === 'string' ? [{ type: 'text', text: msg.content }] : msg.content;
+        if (!Array.isArray(blocks)) continue;
+
+        if (msg.role === 'assistant') {
+            const text = [];
+            const toolCalls = [];
+            const reasoningItems = [];
+            for (const block of blocks) {
+                if (!block || typeof block !== 'object') continue;
+                if (block.type === 'text' && typeof block.text === 'string') {
+                    text.push(block.text);
+                } else if (block.type === 'tool_use') {
+                    toolCalls.push({
+                        id: block.id,
+                        type: 'function',
+                        function: { name: block.name, arguments: JSON.stringify(block.input ?? {}) },
+                    });
+                } else if (block.type === 'thinking') {
+                    reasoningItems.push(...decodeReasoningBlob(block.signature));
+                } else if (block.type === 'redacted_thinking') {
+                    reasoningItems.push(...decodeReasoningBlob(block.data));
+                }
+            }
+            const out = { role: 'assistant', content: text.join('') || null };
+            if (toolCalls.length) out.tool_calls = toolCalls;
+            if (reasoningItems.length) out.reasoning_encrypted_content = encodeReasoningBlob(reasoningItems);
+            messages.push(out);
+            continue;
+        }
+
+        // user：tool_result 必须紧跟在 assistant 的工具调用之后，先于其他内容输出
+        const rest = [];
+        for (const block of blocks) {
+            if (block && block.type === 'tool_result') {
+                const parts = anthropicBlocksToChatParts(block.content);
+                const onlyText = parts.every((p) => p.type === 'text');
+                let content = onlyText ? parts.map((p) => p.text).join('') : parts;
+                if (block.is_error && onlyText) content = `[error] ${content}`;
+                messages.push({ role: 'tool', tool_call_id: block.tool_use_id, content });
+            } else {
+                rest.push(block);
+            }
+        }
+        const parts = anthropicBlocksToChatParts(rest);
+        if (parts.length) messages.push({ role: 'user', content: parts });
+    }
+
+    const chatReq = {
+        model: body.model || '',
+        messages,
+        stream: Boolean(body.stream),
+    };
+
+    // tools：{ name, description, input_schema } → function 工具；服务端工具无法转换，直接丢弃
+    if (Array.isArray(body.tools)) {
+        const tools = body.tools
+            .filter((t) => t && t.name && (t.type == null || t.type === 'custom'))
+            .map((t) => ({
+                type: 'function',
+                function: {
+                    name: t.name,
+                    ...(t.description ? { description: t.description } : {}),
+                    parameters: t.input_schema || { type: 'object', properties: {} },
+                },
+            }));
+        if (tools.length) chatReq.tools = tools;
+    }
+
+    // tool_choice：auto / any / tool / none
+    const tc = body.tool_choice;
+    if (tc && typeof tc === 'object') {
+        if (tc.type === 'auto') chatReq.tool_choice = 'auto';
+        else if (tc.type === 'any') chatReq.tool_choice = 'required';
+        else if (tc.type === 'none') chatReq.tool_choice = 'none';
+        else if (tc.type === 'tool' && tc.name) chatReq.tool_choice = { type: 'function', function: { name: tc.name } };
+        if (tc.disable_parallel_tool_use) chatReq.parallel_tool_calls = false;
+    }
+
+    if (body.max_tokens != null) chatReq.max_tokens = body.max_tokens;
+    if (body.temperature != null) chatReq.temperature = body.temperature;
+    if (body.top_p != null) chatReq.top_p = body.top_p;
+    if (body.metadata && typeof body.metadata.user_id === 'string') chatReq.user = body.metadata.user_id;
+
+    // thinking：按 budget_tokens 估算推理强度，并开启推理摘要以便返回 thinking 块
+    const thinking = body.thinking;
+    if (thinking && thinking.type === 'enabled') {
+        const budget = Number(thinking.budget_tokens) || 0;
+        chatReq.reasoning_effort = budget <= 2048 ? 'low' : budget <= 8192 ? 'medium' : 'high';
+        chatReq.reasoning_summary = 'auto';
+    }
+
+    return chatReq;
+}
+
+/**
+ * 将 Responses API 的 usage 映射为 Anthropic 规范（input_tokens 不含缓存命中部分）
+ */
+function mapUsageToAnthropic(rawUsage) {
+    const usage = mapUsageFields(rawUsage);
+    const cached = usage.prompt_tokens_details.cached_tokens;
+    return {
+        input_tokens: Math.max(usage.prompt_tokens - cached, 0),
+        output_tokens: usage.completion_tokens,
+        cache_creation_input_tokens: 0,
+        cache_read_input_tokens: cached,
+    };
+}
+
+/**
+ * 根据 Chat Completions 的 finish_reason 推断 Anthropic 的 stop_reason
+ */
+function mapStopReasonToAnthropic(finishReason) {
+    if (finishReason === 'tool_calls') return 'tool_use';
+    if (finishReason === 'length') return 'max_tokens';
+    if (finishReason === 'content_filter') return 'refusal';
+    return 'end_turn';
+}
+
+/**
+ * 将工具调用的参数字符串解析为 Anthropic tool_use 的 input 对象
+ */
+function parseToolInput(args) {
+    try {
+        const input = JSON.parse(args || '{}');
+        return input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * 将 Responses API 的完整响应 JSON 转换为 Anthropic Messages 响应体
+ */
+function buildAnthropicMessageResponse(upstreamJson, model) {
+    const content = [];
+
+    // 加密推理内容作为 thinking 块的 signature，客户端回传后还原为 reasoning 输入项；没有推理摘要时使用 redacted_thinking 块
+    const reasoning = extractReasoningContent(upstreamJson);
+    const reasoningBlob = extractReasoningBlob(upstreamJson);
+    if (reasoning) content.push({ type: 'thinking', thinking: reasoning, signature: reasoningBlob || '' });
+    else if (reasoningBlob) content.push({ type: 'redacted_thinking', data: reasoningBlob });
+
+    const text = extractTextContent(upstreamJson);
+    if (text) content.push({ type: 'text', text });
+
+    const toolCalls = extractToolCalls(upstreamJson);
+    for (const tc of toolCalls) {
+        content.push({ type: 'tool_use', id: tc.id, name: tc.function.name, input: parseToolInput(tc.function.arguments) });
+    }
+
+    return {
+        id: `msg_${crypto.randomUUID().replace(/-/g, '')}`,
+        type: 'message',
+        role: 'assistant',
+        model: model || upstreamJson.model || 'unknown',
+        content,
+        stop_reason: mapStopReasonToAnthropic(mapFinishReason(upstreamJson, toolCalls.length > 0)),
+        stop_sequence: null,
+        usage: mapUsageToAnthropic(upstreamJson.usage),
+    };
+}
+
+/**
+ * 将 OpenAI 风格的错误体转换为 Anthropic 错误体
+ */
+function toAnthropicError(status, errorBody) {
+    const err = errorBody && errorBody.error && typeof errorBody.error === 'object' ? errorBody.error : {};
+    const types = {
+        400: 'invalid_request_error',
+        401: 'authentication_error',
+        403: 'permission_error',
+        404: 'not_found_error',
+        413: 'request_too_large',
+        429: 'rate_limit_error',
+        529: 'overloaded_error',
+    };
+    return {
+        type: 'error',
+        error: {
+            type: types[status] || (status === 503 ? 'overloaded_error' : 'api_error'),
+            message: err.message || (typeof errorBody === 'string' ? errorBody : '上游请求失败'),
+        },
+    };
+}
+
+/**
+ * 将上游 Responses API 的 SSE 流实时转换为 Anthropic Messages 流式事件：
+ *   message_start → (content_block_start → content_block_delta … → content_block_stop)* → message_delta → message_stop
+ *
+ * 与 responseSseToChunkStream() 共用 createResponsesStreamState()，只是把 delta 翻译为内容块：
+ *   reasoning_content            → thinking 块（thinking_delta）
+ *   content                      → text 块（text_delta）
+ *   tool_calls                   → tool_use 块（input_json_delta）
+ *   加密推理内容                 → 所在 thinking 块的 signature_delta；没有推理摘要时为 redacted_thinking 块
+ * 上游失败时发送 error 事件并结束。
+ */
+function responseSseToAnthropicStream(upstreamBody, model, options = {}) {
+    if (!upstreamBody) return null;
+
+    const encoder = new TextEncoder();
+    const tracker = createResponsesStreamState();
+
+    return new ReadableStream({
+        async start(controller) {
+            const emit = (type, data) => {
+                controller.enqueue(encoder.encode(`event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`));
+            };
+
+            let blockIndex = -1;
+            let current = null;     // 当前打开的块：{ kind, index }
+            const toolBlocks = new Map(); // Chat tool_calls[].index → 块序号
+            const signed = new Set();     // 已发出的加密推理内容（按 encrypted_content 去重）
+
+            const closeBlock = () => {
+                if (!current) return;
+                emit('content_block_stop', { index: current.index });
+                current = null;
+            };
+            const openBlock = (kind, block) => {
+                // 切换到其他块前先为 thinking 块补上已完成推理项的 signature（终止事件一次性回填时）
+                if (current && current.kind === 'thinking') attachReasoning(tracker.state.items.map((e) => e.item));
+                closeBlock();
+                current = { kind, index: ++blockIndex };
+                emit('content_block_start', { index: current.index, content_block: block });
+                return current.index;
+            };
+            // 推理项完成时把其加密内容附在当前 thinking 块上（signature_delta）并关闭该块
+            const attachReasoning = (items) => {
+                const fresh = items.filter((item) => item && item.type === 'reasoning'
+                    && typeof item.encrypted_content === 'string' && item.encrypted_content && !signed.has(item.encrypted_content));
+                if (!fresh.length) return;
+                fresh.forEach((item) => signed.add(item.encrypted_content));
+                const blob = encodeReasoningBlob(fresh);
+                if (current && current.kind === 'thinking') {
+                    emit('content_block_delta', { index: current.index, delta: { type: 'signature_delta', signature: blob } });
+                } else {
+                    openBlock('redacted_thinking', { type: 'redacted_thinking', data: blob });
+                }
+                closeBlock();
+            };
+
+            const handleDelta = (delta) => {
+                if (typeof delta.reasoning_content === 'string' && delta.reasoning_content) {
+                    if (!current || current.kind !== 'thinking') openBlock('thinking', { type: 'thinking', thinking: '', signature: '' });
+                    emit('content_block_delta', { index: current.index, delta: { type: 'thinking_delta', thinking: delta.reasoning_content } });
+                }
+                if (typeof delta.content === 'string' && delta.content) {
+                    if (!current || current.kind !== 'text') openBlock('text', { type: 'text', text: '' });
+                    emit('content_block_delta', { index: current.index, delta: { type: 'text_delta', text: delta.content } });
+                }
+                for (const tc of Array.isArray(delta.tool_calls) ? delta.tool_calls : []) {
+                    const fn = tc.function || {};
+                    if (!toolBlocks.has(tc.index)) {
+                        toolBlocks.set(tc.index, openBlock('tool_use', { type: 'tool_use', id: tc.id, name: fn.name, input: {} }));
+                    }
+                    if (fn.arguments) {
+                        emit('content_block_delta', {
+                            index: toolBlocks.get(tc.index),
+                            delta: { type: 'input_json_delta', partial_json: fn.arguments },
+                        });
+                    }
+                }
+                // 终止事件中回填的推理项（之前未收到 output_item.done）
+                if (typeof delta.reasoning_encrypted_content === 'string' && delta.reasoning_encrypted_content) {
+                    attachReasoning(tracker.state.items.map((e) => e.item));
+                }
+            };
+
+            emit('message_start', {
+                message: {
+                    id: `msg_${crypto.randomUUID().replace(/-/g, '')}`,
+                    type: 'message',
+                    role: 'assistant',
+                    model: model || 'unknown',
+                    content: [],
+                    stop_reason: null,
+                    stop_sequence: null,
+                    usage: { input_tokens: 0, output_tokens: 0 },
+                },
+            });
+
+            try {
+                for await (const evt of readSseEvents(upstreamBody, options)) {
+                    if (evt.data === '[DONE]') continue;
+
+                    let payload;
+                    try { payload = JSON.parse(evt.data); } catch { continue; }
+
+                    for (const delta of tracker.handle(payload, evt.event)) handleDelta(delta);
+                    if (payload.type === 'response.output_item.done') attachReasoning([payload.item]);
+                    if (tracker.state.finished) break;
+                }
+                if (!tracker.state.finished) tracker.fail(incompleteStreamError());
+            } catch (err) {
+                console.error('[Worker] Anthropic SSE 转换出错:', err);
+                tracker.fail(streamReadError(err));
+            }
+
+            try {
+                const response = tracker.state.response || { status: tracker.state.status };
+                if (tracker.state.status === 'failed') {
+                    const { status, body } = buildUpstreamError(response);
+                    emit('error', { error: toAnthropicError(status, body).error });
+                    return;
+                }
+
+                closeBlock();
+                const finishReason = mapFinishReason(response, tracker.state.toolCallCount > 0);
+                emit('message_delta', {
+                    delta: { stop_reason: mapStopReasonToAnthropic(finishReason), stop_sequence: null },
+                    usage: mapUsageToAnthropic(tracker.state.usage),
+                });
+                emit('message_stop', {});
+            } finally {
+                controller.close();
+            }
+        },
+    });
+}
+
+/**
+ * 处理 Anthropic Messages API 请求：转换为 Responses API 按路由发往上游，再把结果转换回 Messages 格式
+ */
+async function handleAnthropicMessages(request, env, auth) {
+    const body = await request.json();
+    const unsupported = applyUnsupportedParamPolicy(findUnsupportedAnthropicParams(body), env);
+    if (unsupported.error) return jsonResponse(toAnthropicError(400, unsupported.error), 400);
+    const chatReq = anthropicToChatRequest(body);
+    // Messages API 是无状态的：开启 thinking 时总是取回加密推理内容，作为 thinking 块的 signature 供下一轮回传
+    const responsesReq = buildResponsesApiRequest(chatReq, {
+        encryptedReasoning: envFlag(env, 'REASONING_ENCRYPTED_CONTENT') || Boolean(body.thinking && body.thinking.type === 'enabled'),
+    });
+    const variants = buildRequestVariants(responsesReq);
+
+    const result = await sendRouted(env, responsesReq.model, auth, variants, inlineImagesStep(responsesReq, env));
+    const extraHeaders = { ...proxyHeaders(result), ...withVariantDroppedParams(unsupported.headers, result, env) };
+    if (!result.ok) {
+        return jsonResponse(toAnthropicError(result.status, parseErrorBody(result.error)), result.status, extraHeaders);
+    }
+
+    const streamOptions = resolveStreamOptions(env, auth);
+
+    if (chatReq.stream) {
+        return sseResponse(responseSseToAnthropicStream(result.resp.body, body.model, streamOptions), extraHeaders, streamOptions);
+    }
+
+    const upstreamJson = await collectSseToJson(result.resp, streamOptions);
+    if (!upstreamJson) {
+        return jsonResponse(toAnthropicError(502, { error: { message: '上游返回空响应' } }), 502, extraHeaders);
+    }
+    if (isFailedResponse(upstreamJson)) {
+        const { status, body: errorBody } = buildUpstreamError(upstreamJson);
+        return jsonResponse(toAnthropicError(status, errorBody), status, extraHeaders);
+    }
+    return jsonResponse(buildAnthropicMessageResponse(upstreamJson, body.model), 200, extraHeaders);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Gemini generateContent 入站（/v1beta/models/{model}:generateContent → Responses API）
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Gemini 的 OpenAPI Schema 使用大写类型名（"OBJECT"、"STRING"），转换为 JSON Schema 的小写形式
+ */
+function normalizeGeminiSchema(schema) {
+    if (Array.isArray(schema)) return schema.map(normalizeGeminiSchema);
+    if (!schema || typeof schema !== 'object') return schema;
+
+    const out = {};
+    for (const [key, value] of Object.entries(schema)) {
+        if (key === 'type' && typeof value === 'string') out.type = value.toLowerCase();
+        else if (key === 'properties' && value && typeof value === 'object') {
+            out.properties = Object.fromEntries(Object.entries(value).map(([k, v]) => [k, normalizeGeminiSchema(v)]));
+        } else out[key] = normalizeGeminiSchema(value);
+    }
+    return out;
+}
+
+/**
+ * 将 Gemini 的 inlineData / fileData 部件转换为 Chat Completions 的 content 部件
+ */
+function geminiMediaToChatPart(part) {
+    if (part.inlineData && typeof part.inlineData === 'object') {
+        const { mimeType = 'application/octet-stream', data = '' } = part.inlineData;
+        const url = `data:${mimeType};base64,${data}`;
+        if (mimeType.startsWith('image/')) return { type: 'image_url', image_url: { url } };
+        const audioFormat = { 'audio/wav': 'wav', 'audio/x-wav': 'wav', 'audio/mpeg': 'mp3', 'audio/mp3': 'mp3' }[mimeType];
+        if (audioFormat) return { type: 'input_audio', input_audio: { data, format: audioFormat } };
+        return { type: 'file', file: { file_data: url, filename: part.inlineData.displayName || 'file' } };
+    }
+    if (part.fileData && typeof part.fileData === 'object' && part.fileData.fileUri) {
+        const mimeType = part.fileData.mimeType || '';
+        if (!mimeType || mimeType.startsWith('image/')) return { type: 'image_url', image_url: { url: part.fileData.fileUri } };
+        return { type: 'file', file: { file_url: part.fileData.fileUri } };
+    }
+    return null;
+}
+
+// geminiToChatRequest() 会转换的请求字段与 generationConfig 字段
+const HANDLED_GEMINI_PARAMS = new Set(['contents', 'systemInstruction', 'tools', 'toolConfig', 'generationConfig']);
+const HANDLED_GEMINI_GENERATION_PARAMS = new Set([
+    'maxOutputTokens', 'temperature', 'topP',
+    'responseMimeType', 'responseSchema', 'responseJsonSchema', 'thinkingConfig',
+]);
+const NEUTRAL_GEMINI_GENERATION_PARAMS = {
+    candidateCount: (v) => v === 1,
+    responseMimeType: (v) => v === 'text/plain',
+    stopSequences: (v) => Array.isArray(v) && v.length === 0,
+};
+
+/**
+ * 找出 generateContent 请求中无法转换的字段（如 safetySettings、generationConfig.topK），
+ * 以及无法转换的内置工具 tools[i]（googleSearch、codeExecution 等）
+ */
+function findUnsupportedGeminiParams(body) {
+    const unsupported = findUnknownParams(body, HANDLED_GEMINI_PARAMS, {
+        safetySettings: (v) => Array.isArray(v) && v.length === 0,
+    });
+    const gc = body.generationConfig && typeof body.generationConfig === 'object' ? body.generationConfig : {};
+    for (const key of findUnknownParams(gc, HANDLED_GEMINI_GENERATION_PARAMS, NEUTRAL_GEMINI_GENERATION_PARAMS)) {
+        unsupported.push(`generationConfig.${key}`);
+    }
+    if (gc.responseMimeType != null && gc.responseMimeType !== 'application/json' && gc.responseMimeType !== 'text/plain') {
+        unsupported.push('generationConfig.responseMimeType');
+    }
+    (Array.isArray(body.tools) ? body.tools : []).forEach((tool, i) => {
+        if (tool && Object.keys(tool).some((key) => key !== 'functionDeclarations')) unsupported.push(`tools[${i}]`);
+    });
+    return unsupported;
+}
+
+/**
+ * 将 Gemini generateContent 请求体转换为 Chat Completions 请求体，再交给 buildResponsesApiRequest()：
+ *
+ *   systemInstruction                → system 消息
+ *   contents[].parts text / media    → content 部件
+ *   model 角色的 functionCall         → assistant tool_calls
+ *   functionResponse                 → tool 消息（按函数名与调用顺序匹配 call_id）
+ *   tools[].functionDeclarations     → function 工具
+ *   toolConfig.functionCallingConfig → tool_choice
+ *   generationConfig                 → max_tokens / temperature / top_p / stop / response_format / reasoning
+ */
+function geminiToChatRequest(body, model, stream) {
+    const messages = [];
+
+    const systemText = normalizeMessageContent(body.systemInstruction && body.systemInstruction.parts);
+    if (systemText.trim()) messages.push({ role: 'system', content: systemText });
+
+    // Gemini 的 functionCall 通常没有 id，按函数名排队，供随后的 functionResponse 取用
+    const pendingCalls = new Map();
+    let callSeq = 0;
+
+    for (const content of Array.isArray(body.contents) ? body.contents : []) {
+        if (!content || typeof content !== 'object') continue;
+        const parts = Array.isArray(content.parts) ? content.parts : [];
+
+        if (content.role === 'model') {
+            const text = [];
+            const toolCalls = [];
+            for (const part of parts) {
+                if (!part || typeof part !== 'object' || part.thought) continue;
+                if (typeof part.text === 'string') text.push(part.text);
+                if (part.functionCall && part.functionCall.name) {
+                    const { name, args, id } = part.functionCall;
+                    const callId = id || `call_${++callSeq}_${name}`;
+                    if (!pendingCalls.has(name)) pendingCalls.set(name, []);
+                    pendingCalls.get(name).push(callId);
+                    toolCalls.push({ id: callId, type: 'function', function: { name, arguments: JSON.stringify(args ?? {}) } });
+                }
+            }
+            const msg = { role: 'assistant', content: text.join('') || null };
+            if (toolCalls.length) msg.tool_calls = toolCalls;
+            messages.push(msg);
+            continue;
+        }
+
+        const userParts = [];
+        for (const part of parts) {
+            if (!part || typeof part !== 'object') continue;
+            if (part.functionResponse && part.functionResponse.name) {
+                const { name, response, id } = part.functionResponse;
+                const queue = pendingCalls.get(name) || [];
+                const callId = id || queue.shift() || `call_${++callSeq}_${name}`;
+                messages.push({ role: 'tool', tool_call_id: callId, content: JSON.stringify(response ?? {}) });
+            } else if (typeof part.text === 'string') {
+                userParts.push({ type: 'text', text: part.text });
+            } else {
+                const media = geminiMediaToChatPart(part);
+                if (media) userParts.push(media);
+            }
+        }
+        if (userParts.length) messages.push({ role: 'user', content: userParts });
+    }
+
+    const chatReq = { model, messages, stream };
+
+    // tools：只转换 functionDeclarations，googleSearch 等内置工具直接丢弃
+    const tools = [];
+    for (const tool of Array.isArray(body.tools) ? body.tools : []) {
+        const decls = tool && Array.isArray(tool.functionDeclarations) ? tool.functionDeclarations : [];
+        for (const decl of decls) {
+            if (!decl || !decl.name) continue;
+            const fn = { name: decl.name };
+            if (decl.description) fn.description = decl.description;
+            const params = decl.parametersJsonSchema || decl.parameters;
+            fn.parameters = params ? normalizeGeminiSchema(params) : { type: 'object', properties: {} };
+            tools.push({ type: 'function', function: fn });
+        }
+    }
+    if (tools.length) chatReq.tools = tools;
+
+    // toolConfig.functionCallingConfig：AUTO / ANY / NONE，allowedFunctionNames 只有一个时指定该函数
+    const fcc = body.toolConfig && body.toolConfig.functionCallingConfig;
+    if (fcc && typeof fcc === 'object') {
+        const mode = String(fcc.mode || '').toUpperCase();
+        const allowed = Array.isArray(fcc.allowedFunctionNames) ? fcc.allowedFunctionNames : [];
+        if (mode === 'NONE') chatReq.tool_choice = 'none';
+        else if (mode === 'ANY' && allowed.length === 1) chatReq.tool_choice = { type: 'function', function: { name: allowed[0] } };
+        else if (mode === 'ANY') chatReq.tool_choice = 'required';
+        else if (mode === 'AUTO') chatReq.tool_choice = 'auto';
+    }
+
+    const gc = body.generationConfig && typeof body.generationConfig === 'object' ? body.generationConfig : {};
+    if (gc.maxOutputTokens != null) chatReq.max_tokens = gc.maxOutputTokens;
+    if (gc.temperature != null) chatReq.temperature = gc.temperature;
+    if (gc.topP != null) chatReq.top_p = gc.topP;
+
+    // responseMimeType=application/json → json_schema（有 schema 时）或 json_object
+    if (gc.responseMimeType === 'application/json') {
+        const schema = gc.responseJsonSchema || gc.responseSchema;
+        chatReq.response_format = schema
+            ? { type: 'json_schema', json_schema: { name: 'response', schema: normalizeGeminiSchema(schema) } }
+            : { type: 'json_object' };
+    }
+
+    // thinkingConfig：按 thinkingBudget 估算推理强度，includeThoughts 开启推理摘要
+    const thinking = gc.thinkingConfig;
+    if (thinking && typeof thinking === 'object') {
+        const budget = Number(thinking.thinkingBudget);
+        if (Number.isFinite(budget) && budget > 0) {
+            chatReq.reasoning_effort = budget <= 2048 ? 'low' : budget <= 8192 ? 'medium' : 'high';
+        } else if (typeof thinking.thinkingLevel === 'string') {
+            chatReq.reasoning_effort = thinking.thinkingLevel.toLowerCase();
+        }
+        if (thinking.includeThoughts) chatReq.reasoning_summary = 'auto';
+    }
+
+    return chatReq;
+}
+
+/**
+ * 将 Responses API 的 usage 映射为 Gemini 的 usageMetadata
+ */
+function mapUsageToGemini(rawUsage) {
+    const usage = mapUsageFields(rawUsage || {});
+    const meta = {
+        promptTokenCount: usage.prompt_tokens,
+        candidatesTokenCount: usage.completion_tokens,
+        totalTokenCount: usage.total_tokens,
+    };
+    const cached = rawUsage?.input_tokens_details?.cached_tokens;
+    if (cached) meta.cachedContentTokenCount = cached;
+    const reasoning = rawUsage?.output_tokens_details?.reasoning_tokens;
+    if (reasoning) meta.thoughtsTokenCount = reasoning;
+    return meta;
+}
+
+/**
+ * 根据 Chat Completions 的 finish_reason 推断 Gemini 的 finishReason（工具调用在 Gemini 中同样是 STOP）
+ */
+function mapFinishReasonToGemini(finishReason) {
+    if (finishReason === 'length') return 'MAX_TOKENS';
+    if (finishReason === 'content_filter') return 'SAFETY';
+    return 'STOP';
+}
+
+/**
+ * 将 Responses API 的完整响应 JSON 转换为 Gemini GenerateContentResponse
+ */
+function buildGeminiResponse(upstreamJson, model) {
+    const parts = [];
+
+    const reasoning = extractReasoningContent(upstreamJson);
+    if (reasoning) parts.push({ text: reasoning, thought: true });
+
+    const text = extractTextContent(upstreamJson);
+    if (text) parts.push({ text });
+
+    const toolCalls = extractToolCalls(upstreamJson);
+    for (const tc of toolCalls) {
+        parts.push({ functionCall: { id: tc.id, name: tc.function.name, args: parseToolInput(tc.function.arguments) } });
+    }
+
+    return {
+        candidates: [{
+            content: { role: 'model', parts },
+            finishReason: mapFinishReasonToGemini(mapFinishReason(upstreamJson, toolCalls.length > 0)),
+            index: 0,
+        }],
+        usageMetadata: mapUsageToGemini(upstreamJson.usage),
+        modelVersion: model || upstreamJson.model || '',
+        responseId: upstreamJson.id || '',
+    };
+}
+
+/**
+ * 将 OpenAI 风格的错误体转换为 Gemini（Google API）错误体
+ */
+function toGeminiError(status, errorBody) {
+    const err = errorBody && errorBody.error && typeof errorBody.error === 'object' ? errorBody.error : {};
+    const statuses = {
+        400: 'INVALID_ARGUMENT',
+        401: 'UNAUTHENTICATED',
+        403: 'PERMISSION_DENIED',
+        404: 'NOT_FOUND',
+        429: 'RESOURCE_EXHAUSTED',
+        503: 'UNAVAILABLE',
+        504: 'DEADLINE_EXCEEDED',
+    };
+    return {
+        error: {
+            code: status,
+            message: err.message || (typeof errorBody === 'string' ? errorBody : '上游请求失败'),
+            status: statuses[status] || 'INTERNAL',
+        },
+    };
+}
+
+/**
+ * 将上游 Responses API 的 SSE 流实时转换为 Gemini streamGenerateContent 输出
+ *
+ * 与 responseSseToChunkStream() 共用 createResponsesStreamState()：
+ *   content           → { text } 部件
+ *   reasoning_content → { text, thought: true } 部件
+ *   tool_calls        → 累积完整参数后，在最后一个 chunk 中以 functionCall 部件给出（Gemini 不流式输出参数）
+ *
+ * options.sse 为 true 时按 ?alt=sse 输出 "data: {...}" 帧，否则输出一个逐步写入的 JSON 数组。
+ */
+function responseSseToGeminiStream(upstreamBody, model, options = {}) {
+    if (!upstreamBody) return null;
+
+    const encoder = new TextEncoder();
+    const tracker = createResponsesStreamState();
+    const sse = Boolean(options.sse);
+
+    return new ReadableStream({
+        async start(controller) {
+            let count = 0;
+            const write = (obj) => {
+                const json = JSON.stringify(obj);
+                if (sse) controller.enqueue(encoder.encode(`data: ${json}\r\n\r\n`));
+                else controller.enqueue(encoder.encode(`${count ? ',\r\n' : '['}${json}`));
+                count++;
+            };
+            // 没有部件时（如不含函数调用的最后一个 chunk）省略 content，不发送空的 parts
+            const sendParts = (parts, extra = {}) => {
+                write({
+                    candidates: [{ ...(parts.length ? { content: { role: 'model', parts } } : {}), index: 0, ...extra.candidate }],
+                    ...extra.top,
+                    modelVersion: model || '',
+                });
+            };
+
+            const toolCalls = new Map(); // Chat tool_calls[].index → { id, name, arguments }
+
+            const handleDelta = (delta) => {
+                const parts = [];
+                if (typeof delta.reasoning_content === 'string' && delta.reasoning_content) {
+                    parts.push({ text: delta.reasoning_content, thought: true });
+                }
+                if (typeof delta.content === 'string' && delta.content) parts.push({ text: delta.content });
+                for (const tc of Array.isArray(delta.tool_calls) ? delta.tool_calls : []) {
+                    const fn = tc.function || {};
+                    if (!toolCalls.has(tc.index)) toolCalls.set(tc.index, { id: tc.id, name: fn.name, arguments: '' });
+                    toolCalls.get(tc.index).arguments += fn.arguments || '';
+                }
+                if (parts.length) sendParts(parts);
+            };
+
+            try {
+                for await (const evt of readSseEvents(upstreamBody, options)) {
+                    if (evt.data === '[DONE]') continue;
+
+                    let payload;
+                    try { payload = JSON.parse(evt.data); } catch { continue; }
+
+                    for (const delta of tracker.handle(payload, evt.event)) handleDelta(delta);
+                    if (tracker.state.finished) break;
+                }
+                if (!tracker.state.finished) tracker.fail(incompleteStreamError());
+            } catch (err) {
+                console.error('[Worker] Gemini SSE 转换出错:', err);
+                tracker.fail(streamReadError(err));
+            }
+
+            try {
+                const response = tracker.state.response || { status: tracker.state.status };
+                if (tracker.state.status === 'failed') {
+                    const { status, body } = buildUpstreamError(response);
+                    write(toGeminiError(status, body));
+                    return;
+                }
+
+                const parts = [...toolCalls.values()].map((tc) => ({
+                    functionCall: { id: tc.id, name: tc.name, args: parseToolInput(tc.arguments) },
+                }));
+                sendParts(parts, {
+                    candidate: { finishReason: mapFinishReasonToGemini(mapFinishReason(response, toolCalls.size > 0)) },
+                    top: { usageMetadata: mapUsageToGemini(tracker.state.usage) },
+                });
+            } finally {
+                if (!sse) controller.enqueue(encoder.encode(count ? ']' : '[]'));
+                controller.close();
+            }
+        },
+    });
+}
+
+/**
+ * 处理 Gemini generateContent / streamGenerateContent 请求：转换为 Responses API 按路由发往上游，再转换回 Gemini 格式
+ */
+async function handleGeminiGenerateContent(request, env, auth, model, action, url) {
+    const body = await request.json();
+    const unsupported = applyUnsupportedParamPolicy(findUnsupportedGeminiParams(body), env);
+    if (unsupported.error) return jsonResponse(toGeminiError(400, unsupported.error), 400);
+    const stream = action === 'streamGenerateContent';
+    const chatReq = geminiToChatRequest(body, model, stream);
+    const responsesReq = buildResponsesApiRequest(chatReq, {
+        encryptedReasoning: envFlag(env, 'REASONING_ENCRYPTED_CONTENT'),
+    });
+    const variants = buildRequestVariants(responsesReq);
+
+    const result = await sendRouted(env, model, auth, variants, inlineImagesStep(responsesReq, env));
+    const extraHeaders = { ...proxyHeaders(result), ...withVariantDroppedParams(unsupported.headers, result, env) };
+    if (!result.ok) {
+        return jsonResponse(toGeminiError(result.status, parseErrorBody(result.error)), result.status, extraHeaders);
+    }
+
+    const streamOptions = resolveStreamOptions(env, auth);
+
+    if (stream) {
+        const sse = url.searchParams.get('alt') === 'sse';
+        const out = responseSseToGeminiStream(result.resp.body, model, { ...streamOptions, sse });
+        // 非 SSE 模式输出 JSON 数组，不能插入保活注释
+        return sseResponse(out, {
+            ...extraHeaders,
+            ...(sse ? {} : { 'Content-Type': 'application/json; charset=utf-8' }),
+        }, sse ? streamOptions : { ...streamOptions, keepaliveMs: 0 });
+    }
+
+    const upstreamJson = await collectSseToJson(result.resp, streamOptions);
+    if (!upstreamJson) {
+        return jsonResponse(toGeminiError(502, { error: { message: '上游返回空响应' } }), 502, extraHeaders);
+    }
+    if (isFailedResponse(upstreamJson)) {
+        const { status, body: errorBody } = buildUpstreamError(upstreamJson);
+        return jsonResponse(toGeminiError(status, errorBody), status, extraHeaders);
+    }
+    return jsonResponse(buildGeminiResponse(upstreamJson, model), 200, extraHeaders);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 旧版 Completions 入站（/v1/completions → Responses API）
+// ─────────────────────────────────────────────────────────────────────────────
+
+const COMPLETION_INSTRUCTIONS =
+    'You are a raw text completion engine. Continue the text in the user message exactly where it ends. '
+    + 'Output only the continuation, without repeating the given text and without any commentary.';
+
+const INSERTION_INSTRUCTIONS =
+    'You are a raw text completion engine. The user message contains a PREFIX and a SUFFIX. '
+    + 'Output only the text that belongs between them, without repeating either part and without any commentary.';
+
+/**
+ * 规范化 prompt：字符串或字符串数组；token 数组无法转换为文本，返回 null
+ */
+function normalizeCompletionPrompts(prompt) {
+    if (prompt == null) return [''];
+    if (typeof prompt === 'string') return [prompt];
+    if (Array.isArray(prompt) && prompt.length && prompt.every((p) => typeof p === 'string')) return prompt;
+    return null;
+}
+
+// completionToChatRequest() 与 handleCompletions() 会处理的请求字段
+const HANDLED_COMPLETION_PARAMS = new Set([
+    'model', 'prompt', 'suffix', 'echo', 'n', 'stream', 'stream_options',
+    'max_tokens', 'temperature', 'top_p', 'user',
+]);
+const NEUTRAL_COMPLETION_PARAMS = {
+    ...NEUTRAL_CHAT_PARAMS,
+    best_of: (v) => v === 1,
+};
+
+/**
+ * 将单个 prompt 的 Completions 请求转换为 Chat Completions 请求体，再交给 buildResponsesApiRequest()
+ *
+ * 有 suffix 时按“前缀 / 后缀”插入模式组织输入。
+ */
+function completionToChatRequest(body, prompt) {
+    const hasSuffix = typeof body.suffix === 'string' && body.suffix !== '';
+    const chatReq = {
+        model: body.model || '',
+        messages: [
+            { role: 'system', content: hasSuffix ? INSERTION_INSTRUCTIONS : COMPLETION_INSTRUCTIONS },
+            { role: 'user', content: hasSuffix ? `PREFIX:\n${prompt}\n\nSUFFIX:\n${body.suffix}` : prompt },
+        ],
+        stream: Boolean(body.stream),
+    };
+    if (body.max_tokens != null) chatReq.max_tokens = body.max_tokens;
+    if (body.temperature != null) chatReq.temperature = body.temperature;
+    if (body.top_p != null) chatReq.top_p = body.top_p;
+    if (body.user != null) chatReq.user = body.user;
+    return chatReq;
+}
+
+/**
+ * 把单路上游 Responses SSE 流转换为 Completions 流事件：
+ *   { index, text } / { index, finishReason, usage } / { index, error }
+ */
+async function* completionStreamEvents(upstreamBody, index, prefix, options) {
+    if (prefix) yield { index, text: prefix };
+    for await (const evt of responseSseToChatEvents(upstreamBody, index, options)) {
+        if (!evt.delta) yield evt;
+        else if (typeof evt.delta.content === 'string' && evt.delta.content) yield { index, text: evt.delta.content };
+    }
+}
+
+/**
+ * 处理旧版 Completions 请求：每个 prompt 各发 n 次 Responses API 请求，
+ * 结果按 prompt 顺序组装为 text_completion 对象（流式时为交错输出的 chunk）
+ */
+async function handleCompletions(request, env, auth) {
+    const body = await request.json();
+    const prompts = normalizeCompletionPrompts(body.prompt);
+    if (!prompts) {
+        return jsonResponse({
+            error: {
+                message: 'prompt 仅支持字符串或字符串数组，不支持 token 数组',
+                type: 'invalid_request_error',
+                param: 'prompt',
+                code: null,
+            },
+        }, 400);
+    }
+
+    const unsupported = applyUnsupportedParamPolicy(findUnknownParams(body, HANDLED_COMPLETION_PARAMS, NEUTRAL_COMPLETION_PARAMS), env);
+    if (unsupported.error) return jsonResponse(unsupported.error, 400);
+
+    const options = { encryptedReasoning: envFlag(env, 'REASONING_ENCRYPTED_CONTENT') };
+
+    // 每个 prompt 生成 n 个 choice，按 prompt 顺序排列
+    const choiceCount = resolveChoiceCount(body.n, env);
+    if (choiceCount.error) return jsonResponse(choiceCount.error, 400);
+    const jobs = prompts.flatMap((prompt) => Array(choiceCount.n).fill(prompt));
+
+    const results = await Promise.all(jobs.map((prompt) => {
+        const responsesReq = buildResponsesApiRequest(completionToChatRequest(body, prompt), options);
+        return sendRouted(env, responsesReq.model, auth, buildRequestVariants(responsesReq));
+    }));
+
+    const extraHeaders = { ...proxyHeaders({ results }), ...withVariantDroppedParams(unsupported.headers, { results }, env) };
+    const failed = results.find((r) => !r.ok);
+    if (failed) {
+        for (const r of results) {
+            if (r.ok && r.resp.body) r.resp.body.cancel().catch(() => {});
+        }
+        return jsonResponse(parseErrorBody(failed.error), failed.status, extraHeaders);
+    }
+
+    const id = 'cmpl-' + crypto.randomUUID();
+    const created = Math.floor(Date.now() / 1000);
+    const model = body.model || 'unknown';
+    const streamOptions = resolveStreamOptions(env, auth);
+
+    // ── 流式 ──
+    if (body.stream) {
+        const includeUsage = Boolean(body.stream_options && body.stream_options.include_usage);
+        const encoder = new TextEncoder();
+        const stream = new ReadableStream({
+            async start(controller) {
+                const write = (obj) => controller.enqueue(encoder.encode(`data: ${JSON.stringify(obj)}\n\n`));
+                const send = (choice) => write({ id, object: 'text_completion', created, model, choices: [choice] });
+
+                const usages = [];
+                const iterators = results.map((r, i) =>
+                    completionStreamEvents(r.resp.body, i, body.echo ? jobs[i] : '', streamOptions));
+                try {
+                    for await (const evt of mergeAsyncIterators(iterators)) {
+                        if (evt.error) {
+                            write(evt.error);
+                            return;
+                        }
+                        if (evt.text != null) {
+                            send({ text: evt.text, index: evt.index, logprobs: null, finish_reason: null });
+                        } else {
+                            usages.push(mapUsageFields(evt.usage || {}));
+                            send({ text: '', index: evt.index, logprobs: null, finish_reason: evt.finishReason });
+                        }
+                    }
+                    if (includeUsage) write({ id, object: 'text_completion', created, model, choices: [], usage: sumUsage(usages) });
+                    controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+                } finally {
+                    controller.close();
+                }
+            },
+        });
+        return sseResponse(stream, extraHeaders, streamOptions);
+    }
+
+    // ── 非流式 ──
+    const choices = [];
+    const usages = [];
+    // 提前返回错误时取消尚未读取的响应，释放上游连接
+    const cancelRemaining = (from) => {
+        for (const r of results.slice(from)) {
+            if (r.resp.body) r.resp.body.cancel().catch(() => {});
+        }
+    };
+    for (let i = 0; i < results.length; i++) {
+        const upstreamJson = await collectSseToJson(results[i].resp, streamOptions);
+        if (!upstreamJson) {
+            cancelRemaining(i + 1);
+            return jsonResponse({ error: { message: '上游返回空响应' } }, 502, extraHeaders);
+        }
+        if (isFailedResponse(upstreamJson)) {
+            cancelRemaining(i + 1);
+            const { status, body: errorBody } = buildUpstreamError(upstreamJson);
+            return jsonResponse(errorBody, status, extraHeaders);
+        }
+        const text = extractTextContent(upstreamJson);
+        choices.push({
+            text: body.echo ? jobs[i] + text : text,
+            index: i,
+            logprobs: null,
+            finish_reason: mapFinishReason(upstreamJson, false),
+        });
+        usages.push(mapUsageFields(upstreamJson.usage));
+    }
+
+    return jsonResponse({
+        id,
+        object: 'text_completion',
+        created,
+        model,
+        choices,
+        usage: sumUsage(usages),
+    }, 200, extraHeaders);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 管理接口（/admin/*）
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * 校验管理令牌：未配置 ADMIN_TOKEN 时管理接口视为不存在；令牌不符返回 401
+ */
+async function checkAdmin(request, env) {
+    if (!env.ADMIN_TOKEN) {
+        return jsonResponse({ error: { message: 'Not found', type: 'invalid_request_error', code: 'not_found' } }, 404);
+    }
+    const authHeader = request.headers.get('Authorization') || '';
+    if (!(await timingSafeEqualStrings(authHeader, `Bearer ${env.ADMIN_TOKEN}`))) {
+        return jsonResponse({
+            error: { message: '管理令牌无效', type: 'invalid_request_error', param: null, code: 'invalid_api_key' },
+        }, 401);
+    }
+    return null;
+}
+
+/**
+ * GET /admin/variants：列出学到的各上游请求格式
+ */
+async function handleAdminVariants(request, env) {
+    const data = await listLearnedShapes(env);
+    return jsonResponse({ object: 'list', data });
+}
+
+/**
+ * 按名称查找上游：ROUTES 中的 name，或 default（TARGET_URL）
+ */
+function findUpstreamByName(env, name) {
+    if (!name || name === 'default') return defaultUpstream(env);
+    for (const route of loadRoutes(env)) {
+        const upstream = route.upstreams.find((u) => u.name === name);
+        if (upstream) return upstream;
+    }
+    return null;
+}
+
+// 1×1 像素的 PNG，用于探测图片输入
+const PROBE_IMAGE_URL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+
+/**
+ * 能力探测项：body 为 Chat Completions 请求体，经 buildResponsesApiRequest() 转换后发送；
+ * fallbacks 列出「只有借助这些调整才成功」即视为不支持该能力的调整项
+ */
+const CAPABILITY_PROBES = [
+    {
+        name: 'basic',
+        body: { messages: [{ role: 'user', content: 'Reply with the single word OK.' }], max_tokens: 16 },
+    },
+    {
+        name: 'streaming',
+        body: { messages: [{ role: 'user', content: 'Reply with the single word OK.' }], max_tokens: 16, stream: true },
+    },
+    {
+        name: 'instructions',
+        body: {
+            messages: [
+                { role: 'system', content: 'Always answer with the single word OK.' },
+                { role: 'user', content: 'Hello' },
+            ],
+            max_tokens: 16,
+        },
+        fallbacks: ['inline_instructions'],
+    },
+    {
+        name: 'reasoning',
+        body: {
+            messages: [{ role: 'user', content: 'What is 2 + 2? Answer with the number only.' }],
+            max_tokens: 256,
+            reasoning_effort: 'low',
+            reasoning_summary: 'auto',
+        },
+        fallbacks: ['drop_reasoning'],
+    },
+    {
+        name: 'json_schema',
+        body: {
+            messages: [{ role: 'user', content: 'Return {"ok": true}.' }],
+            max_tokens: 32,
+            response_format: {
+                type: 'json_schema',
+                json_schema: {
+                    name: 'probe',
+                    strict: true,
+                    schema: {
+                        type: 'object',
+                        properties: { ok: { type: 'boolean' } },
+                        required: ['ok'],
+                        additionalProperties: false,
+                    },
+                },
+            },
+        },
+        check: (json) => {
+            try {
+                const parsed = JSON.parse(extractTextContent(json));
+                return Boolean(parsed) && typeof parsed.ok === 'boolean';
+            } catch {
+                return false;
+            }
+        },
+    },
+    {
+        name: 'function_tools',
+        body: {
+            messages: [{ role: 'user', content: 'What time is it? Use the tool.' }],
+            max_tokens: 64,
+            tools: [{
+                type: 'function',
+                function: {
+                    name: 'get_time',
+                    description: 'Returns the current time.',
+                    parameters: { type: 'object', properties: {}, additionalProperties: false },
+                },
+            }],
+            tool_choice: 'required',
+        },
+        check: (json) => extractToolCalls(json).length > 0,
+    },
+    {
+        name: 'image_input',
+        body: {
+            messages: [{
+                role: 'user',
+                content: [
+                    { type: 'text', text: 'Describe this image in one word.' },
+                    { type: 'image_url', image_url: { url: PROBE_IMAGE_URL } },
+                ],
+            }],
+            max_tokens: 16,
+        },
+    },
+];
+
+/**
+ * 发送一个探测请求（不做退避重试），返回 { ok, status, shape, json, error, latencyMs }
+ */
+async function runProbeRequest(upstream, headers, responsesReq, preferredShape) {
+    const started = Date.now();
+    const variants = upstream.variants === false ? [responsesReq] : buildRequestVariants(responsesReq);
+    const result = await sendWithRetry(upstream.url, headers, variants, { preferredShape });
+    const latencyMs = Date.now() - started;
+
+    if (!result.ok) {
+        const body = parseErrorBody(result.error);
+        const message = (body.error && body.error.message) || String(result.error || '');
+        return { ok: false, status: result.status, shape: [], json: null, error: message.slice(0, 500), latencyMs };
+    }
+
+    const contentType = result.resp.headers.get('content-type') || '';
+    const json = await collectSseToJson(result.resp, { idleTimeoutMs: 60000 });
+    if (!json || isFailedResponse(json)) {
+        const message = json ? buildUpstreamError(json).body.error.message : '上游返回空响应';
+        return { ok: false, status: 200, shape: result.shape, json, error: message, latencyMs, contentType };
+    }
+    return { ok: true, status: 200, shape: result.shape, json, error: null, latencyMs, contentType };
+}
+
+/**
+ * GET /admin/probe?upstream=<name>&model=<model>：用一组小请求探测上游支持的能力
+ *
+ * 返回能力矩阵；探测中成功所用的请求格式会写入变体学习的记录，之后的真实请求直接按此格式发送。
+ */
+async function handleAdminProbe(request, env, ctx, url) {
+    const upstreamName = url.searchParams.get('upstream') || 'default';
+    const upstream = findUpstreamByName(env, upstreamName);
+    if (!upstream) {
+        return jsonResponse({
+            error: { message: `未找到名为 ${upstreamName} 的上游`, type: 'invalid_request_error', param: 'upstream', code: 'not_found' },
+        }, 404);
+    }
+
+    const model = upstream.model || url.searchParams.get('model');
+    if (!model) {
+        return jsonResponse({
+            error: { message: '请通过 model 参数指定要探测的模型', type: 'invalid_request_error', param: 'model', code: 'missing_required_parameter' },
+        }, 400);
+    }
+
+    const headers = {
+        'Content-Type': 'application/json',
+        'Authorization': upstreamAuthorization(upstream, env, env.OPENAI_API_KEY ? `Bearer ${env.OPENAI_API_KEY}` : ''),
+        ...(upstream.headers || {}),
+    };
+
+    const probes = [];
+    const capabilities = {};
+    // 只记住 basic 探测所需的调整：其他探测项借助的回退（如 drop_reasoning）不应影响之后的所有请求
+    let learned = [];
+
+    for (const probe of CAPABILITY_PROBES) {
+        const responsesReq = buildResponsesApiRequest({ ...probe.body, model });
+        const result = await runProbeRequest(upstream, headers, responsesReq, learned);
+        let supported = result.ok && !(probe.fallbacks || []).some((name) => result.shape.includes(name));
+        if (supported && probe.name === 'streaming') supported = result.contentType.includes('text/event-stream');
+        if (supported && probe.check) supported = probe.check(result.json);
+
+        if (result.ok && probe.name === 'basic') learned = result.shape;
+        capabilities[probe.name] = supported;
+        probes.push({
+            name: probe.name,
+            supported,
+            status: result.status,
+            shape: result.shape,
+            latency_ms: result.latencyMs,
+            error: result.error,
+        });
+    }
+
+    // previous_response_id：先以 store=true 创建响应，再引用它继续对话
+    const first = await runProbeRequest(upstream, headers, {
+        ...buildResponsesApiRequest({ ...CAPABILITY_PROBES[0].body, model }),
+        store: true,
+    }, learned);
+    const previousId = first.ok && first.json && first.json.id;
+    const followUp = previousId
+        ? await runProbeRequest(upstream, headers, {
+            ...buildResponsesApiRequest({ messages: [{ role: 'user', content: 'Say it again.' }], max_tokens: 16, model }),
+            store: true,
+            previous_response_id: previousId,
+        }, learned)
+        : null;
+    capabilities.previous_response_id = Boolean(followUp && followUp.ok);
+    probes.push({
+        name: 'previous_response_id',
+        supported: capabilities.previous_response_id,
+        status: followUp ? followUp.status : first.status,
+        shape: followUp ? followUp.shape : first.shape,
+        latency_ms: first.latencyMs + (followUp ? followUp.latencyMs : 0),
+        error: followUp ? followUp.error : (first.error || '上游未返回响应 id'),
+    });
+
+    if (capabilities.basic && upstream.variants !== false) {
+        saveLearnedShape(env, ctx, learnedShapeKey(upstream, model), learned, 'probe');
+    }
+
+    return jsonResponse({
+        object: 'capability_probe',
+        upstream: upstream.name,
+        url: upstream.url,
+        model,
+        capabilities,
+        learned_shape: learned,
+        probes,
+    });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Worker 入口
 // ─────────────────────────────────────────────────────────────────────────────
 
 export default {
-    async fetch(request, env) {
+    async fetch(request, env, ctx) {
         // ── CORS 预检 ──
         if (request.method === 'OPTIONS') {
             return corsPreflightResponse();
@@ -879,29 +5555,37 @@ export default {
             return jsonResponse({ ok: true, time: Math.floor(Date.now() / 1000) });
         }
 
-        // ── GET /v1/models 透传 ──
-        if (request.method === 'GET' && (path === '/v1/models' || path === '/models')) {
-            const base = (env.TARGET_URL || 'https://api.openai.com/v1/responses')
-                .replace(/\/v1\/responses.*$/, '')  // 去掉 /v1/responses 及之后的部分
-                .replace(/\/responses.*$/, '');      // 兼容其他路径结尾
-            const modelsUrl = `${base}/v1/models`;
-            const authHeader = request.headers.get('Authorization') || '';
-            let resp;
+        // ── 管理接口（需要 ADMIN_TOKEN）──
+        if (path.startsWith('/admin/')) {
+            const denied = await checkAdmin(request, env);
+            if (denied) return denied;
             try {
-                resp = await fetch(modelsUrl, {
-                    method: 'GET',
-                    headers: { 'Authorization': authHeader },
-                });
+                if (request.method === 'GET' && path === '/admin/variants') return await handleAdminVariants(request, env);
+                if (request.method === 'GET' && path === '/admin/probe') return await handleAdminProbe(request, env, ctx, url);
             } catch (err) {
-                return jsonResponse({ error: { message: `上游请求失败: ${err.message}` } }, 502);
+                console.error('[Worker] 未捕获异常:', err);
+                return jsonResponse({ error: { message: err.message || '内部错误', type: 'server_error' } }, 500);
             }
-            return new Response(resp.body, {
-                status: resp.status,
-                headers: {
-                    'Content-Type': resp.headers.get('Content-Type') || 'application/json',
-                    'Access-Control-Allow-Origin': '*',
-                },
-            });
+            return jsonResponse({ error: { message: 'Not found', type: 'invalid_request_error', code: 'not_found' } }, 404);
+        }
+
+        // ── 客户端鉴权（配置 CLIENT_KEYS / CLIENT_KEYS_KV 时校验代理签发的密钥）──
+        const authResult = await authenticate(request, env, url, path);
+        if (!authResult.ok) return authResult.response;
+        const auth = authResult.auth;
+        auth.limiter = createRateLimiter(env, auth, ctx);
+        auth.ctx = ctx;
+
+        // 客户端断开时中止上游请求：下行流被取消时调用 auth.abort()，
+        // 运行时提供 request.signal 时也跟随其中止
+        const clientAbort = new AbortController();
+        auth.signal = clientAbort.signal;
+        auth.abort = () => clientAbort.abort();
+        if (request.signal) request.signal.addEventListener('abort', auth.abort, { once: true });
+
+        // ── GET /v1/models（配置路由时合并各上游的模型列表）──
+        if (request.method === 'GET' && (path === '/v1/models' || path === '/models')) {
+            return handleModels(request, env, auth);
         }
 
         // ── 仅接受 POST ──
@@ -909,30 +5593,75 @@ export default {
             return new Response('Only POST requests are supported', { status: 405 });
         }
 
-        // ── Responses API 直接透传 ──
-        if (path === '/v1/responses' || path === '/openai/v1/responses') {
-            const upstreamUrl = env.TARGET_URL || 'https://api.openai.com/v1/responses';
-            const authHeader = request.headers.get('Authorization') || '';
-            let resp;
+        // ── Anthropic Messages API 入站 ──
+        if (path === '/v1/messages' || path === '/anthropic/v1/messages') {
             try {
-                resp = await fetch(upstreamUrl, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': authHeader,
-                    },
-                    body: request.body,
-                });
+                return await handleAnthropicMessages(request, env, auth);
+            } catch (err) {
+                console.error('[Worker] 未捕获异常:', err);
+                return jsonResponse(toAnthropicError(500, { error: { message: err.message || '内部错误' } }), 500);
+            }
+        }
+
+        // ── 旧版 Completions 入站 ──
+        if (path === '/v1/completions' || path === '/completions') {
+            try {
+                return await handleCompletions(request, env, auth);
+            } catch (err) {
+                console.error('[Worker] 未捕获异常:', err);
+                return jsonResponse({ error: { message: err.message || '内部错误', type: 'server_error' } }, 500);
+            }
+        }
+
+        // ── Gemini generateContent / streamGenerateContent 入站 ──
+        const geminiMatch = path.match(/^\/(?:v1beta|v1)\/models\/([^/:]+):(generateContent|streamGenerateContent)$/);
+        if (geminiMatch) {
+            try {
+                return await handleGeminiGenerateContent(request, env, auth, decodeURIComponent(geminiMatch[1]), geminiMatch[2], url);
+            } catch (err) {
+                console.error('[Worker] 未捕获异常:', err);
+                return jsonResponse(toGeminiError(500, { error: { message: err.message || '内部错误' } }), 500);
+            }
+        }
+
+        // ── Responses API：反向转换到 Chat Completions 上游 ──
+        if ((path === '/v1/responses' || path === '/openai/v1/responses') && env.RESPONSES_MODE === 'chat') {
+            try {
+                return await handleResponsesViaChat(request, env, auth);
             } catch (err) {
-                return jsonResponse({ error: { message: `上游请求失败: ${err.message}` } }, 502);
+                console.error('[Worker] 未捕获异常:', err);
+                return jsonResponse({ error: { message: err.message || '内部错误', type: 'server_error' } }, 500);
+            }
+        }
+
+        // ── Responses API 直接透传 ──
+        if (path === '/v1/responses' || path === '/openai/v1/responses') {
+            // 需要读取 model 字段选择上游；故障转移时也要能重发请求体
+            const rawBody = await request.text();
+            let parsedBody;
+            try { parsedBody = JSON.parse(rawBody); } catch { parsedBody = null; }
+            if (!parsedBody || typeof parsedBody !== 'object') {
+                return jsonResponse({ error: { message: '请求体不是合法的 JSON', type: 'invalid_request_error', code: null } }, 400);
+            }
+
+            const result = await sendRouted(env, parsedBody.model, auth, [parsedBody], inlineImagesStep(parsedBody, env));
+            const extraHeaders = proxyHeaders(result);
+            if (!result.ok) {
+                return jsonResponse(parseErrorBody(result.error), result.status, extraHeaders);
             }
-            // 透传原始响应（含流式 SSE）
-            return new Response(resp.body, {
+            // 透传原始响应（含流式 SSE）；SSE 时同样插入保活注释
+            const resp = result.resp;
+            const contentType = resp.headers.get('Content-Type') || '';
+            const streamOptions = resolveStreamOptions(env, auth);
+            if (!contentType.includes('text/event-stream')) streamOptions.keepaliveMs = 0;
+            return new Response(resp.body ? withKeepalive(resp.body, streamOptions) : null, {
                 status: resp.status,
                 headers: {
                     'Content-Type': resp.headers.get('Content-Type') || 'application/json',
                     'Cache-Control': 'no-cache',
                     'Access-Control-Allow-Origin': '*',
+                    'Access-Control-Expose-Headers': EXPOSED_HEADERS,
+                    ...extraHeaders,
                 },
             });
         }
@@ -946,55 +5675,66 @@ export default {
             // ── 1. 解析客户端请求体 ──
             const originalBody = await request.json();
 
+            // 无法转换的参数按 UNSUPPORTED_PARAMS 策略丢弃或拒绝
+            const unsupported = applyUnsupportedParamPolicy(findUnsupportedChatParams(originalBody), env);
+            if (unsupported.error) return jsonResponse(unsupported.error, 400);
+
             // ── 2. 转换请求体 Chat Completions → Responses API ──
-            const responsesReq = buildResponsesApiRequest(originalBody);
+            const responsesReq = buildResponsesApiRequest(originalBody, {
+                encryptedReasoning: envFlag(env, 'REASONING_ENCRYPTED_CONTENT'),
+            });
             const isStream = Boolean(originalBody.stream);
 
+            // n > 1 时并发发送 n 个相同请求，各自对应一个 choice
+            const choiceCount = resolveChoiceCount(originalBody.n, env);
+            if (choiceCount.error) return jsonResponse(choiceCount.error, 400);
+
             // ── 3. 构建多变体请求 ──
             const variants = buildRequestVariants(responsesReq);
 
-            // ── 4. 确定上游地址与鉴权 ──
-            const upstreamUrl = env.TARGET_URL || 'https://api.openai.com/v1/responses';
-            const authHeader = request.headers.get('Authorization') || '';
-
-            const headers = {
-                'Content-Type': 'application/json',
-                'Authorization': authHeader,
-            };
-
-            // ── 5. 发送请求（含多变体重试） ──
-            const result = await sendWithRetry(upstreamUrl, headers, variants);
+            // ── 4. 按路由发送请求（含故障转移与多变体重试） ──
+            // 上游无法访问外网时，通过限流检查后把远程图片内联为 data URL（INLINE_IMAGES）
+            const result = await sendFanOut(env, responsesReq.model, auth, variants, choiceCount.n, inlineImagesStep(responsesReq, env));
+            const extraHeaders = { ...proxyHeaders(result), ...withVariantDroppedParams(unsupported.headers, result, env) };
 
             if (!result.ok) {
-                // 尝试解析错误为 JSON
-                let errorBody;
-                try { errorBody = JSON.parse(result.error); } catch { errorBody = { error: { message: result.error } }; }
-                return jsonResponse(errorBody, result.status);
+                return jsonResponse(parseErrorBody(result.error), result.status, extraHeaders);
             }
 
-            const upstreamResponse = result.resp;
+            const upstreamResponses = result.resps;
+            const streamOptions = resolveStreamOptions(env, auth);
 
-            // ── 6a. 流式响应 ──
+            // ── 5a. 流式响应 ──
             if (isStream) {
-                const stream = responseSseToChunkStream(upstreamResponse.body, originalBody.model);
-                return new Response(stream, {
-                    headers: {
-                        'Content-Type': 'text/event-stream; charset=utf-8',
-                        'Cache-Control': 'no-cache',
-                        'Connection': 'keep-alive',
-                        'Access-Control-Allow-Origin': '*',
-                    },
+                const includeUsage = Boolean(originalBody.stream_options && originalBody.stream_options.include_usage);
+                const stream = responseSseToChunkStream(upstreamResponses.map((r) => r.body), originalBody.model, {
+                    ...streamOptions,
+                    includeUsage,
+                    logprobs: originalBody.logprobs === true,
                 });
+                return sseResponse(stream, extraHeaders, streamOptions);
             }
 
-            // ── 6b. 非流式响应 ──
-            const upstreamJson = await collectSseToJson(upstreamResponse);
-            if (!upstreamJson) {
-                return jsonResponse({ error: { message: '上游返回空响应' } }, 502);
+            // ── 5b. 非流式响应 ──
+            const upstreamJsons = await Promise.all(upstreamResponses.map((r) => collectSseToJson(r, streamOptions)));
+            for (const upstreamJson of upstreamJsons) {
+                if (!upstreamJson) {
+                    return jsonResponse({ error: { message: '上游返回空响应' } }, 502, extraHeaders);
+                }
+                if (isFailedResponse(upstreamJson)) {
+                    const { status, body } = buildUpstreamError(upstreamJson);
+                    return jsonResponse(body, status, extraHeaders);
+                }
             }
 
-            const chatResponse = buildChatCompletionsResponse(upstreamJson, originalBody);
-            return jsonResponse(chatResponse);
+            const chatResponse = buildChatCompletionsResponse(upstreamJsons[0], originalBody);
+            if (upstreamJsons.length > 1) {
+                // 合并为 choices[0..n-1]，usage 取合计
+                const responses = upstreamJsons.map((j) => buildChatCompletionsResponse(j, originalBody));
+                chatResponse.choices = responses.map((r, i) => ({ ...r.choices[0], index: i }));
+                chatResponse.usage = sumUsage(responses.map((r) => r.usage));
+            }
+            return jsonResponse(chatResponse, 200, extraHeaders);
 
         } catch (err) {
             console.error('[Worker] 未捕获异常:', err);